@@ -0,0 +1,1028 @@
+// Background service worker that owns the single shared Harper engine.
+// Content scripts in every tab and frame send lint requests here instead of
+// instantiating their own copy of the WebAssembly module.
+import * as harperExports from './harper/harper_wasm.js';
+
+// ============================================================================
+// Engine Initialization
+// ============================================================================
+
+// The shared linter instance and the dialect it was built for.
+let harperLinter = null;
+let harperDialect = 'American';
+
+// User overrides for Harper's lint rules ({ RuleName: true|false }), applied to every new linter.
+let lintConfig = {};
+
+// Words the user added to their personal dictionary, imported into every new linter.
+let userDictionary = [];
+
+// Ignored lints per site and field: { [hostname]: { [fieldKey]: exportedJson } }.
+// The linter holds one set of ignored lints at a time, so the set for the field
+// being linted is swapped in on demand (see useIgnoreScope).
+let ignoredLints = {};
+let activeIgnoreScope = null;
+
+// Harper's statistics file (newline-delimited JSON records of applied suggestions),
+// imported into every new linter so usage history survives restarts and dialect changes.
+let statsFile = '';
+
+// Distinct lints found per local day: { 'YYYY-MM-DD': { total, kinds: { Kind: count }, seen: [hash] } }.
+// Harper's stats only record applied suggestions, so lints found are counted here.
+let foundStats = {};
+let foundStatsSaveTimeout = null;
+
+// How long daily "found" counts are kept
+const FOUND_STATS_RETENTION_MS = 400 * 24 * 60 * 60 * 1000;
+
+// Asynchronously initialize the Harper module.
+// The service worker may be stopped and restarted by the browser at any time,
+// so everything the engine needs is restored from storage here.
+const harperReady = (async () => {
+  try {
+    await harperExports.default();
+    harperExports.setup();
+    const data = await chrome.storage.local.get([
+      'dialect', 'lintConfig', 'userDictionary', 'ignoredLints', 'statsFile', 'foundStats'
+    ]);
+    harperDialect = data.dialect ?? 'American'; // default American
+    lintConfig = data.lintConfig ?? {}; // default: Harper's own rule defaults
+    userDictionary = data.userDictionary ?? []; // default empty
+    ignoredLints = data.ignoredLints ?? {}; // default empty
+    statsFile = data.statsFile ?? ''; // default empty
+    foundStats = data.foundStats ?? {}; // default empty
+    harperLinter = createLinter(harperDialect);
+  } catch (e) {
+    console.error('Failed to initialize Harper:', e); // Keep this as console.error - essential error
+  }
+})();
+
+/**
+ * Create a linter for the given dialect, falling back to American for unknown names.
+ * The user's stored settings (rule configuration, personal dictionary, statistics) are applied to it.
+ * @param {string} dialectName - A key of harper.Dialect, e.g. "British".
+ * @returns {Object} - A new Harper Linter instance.
+ */
+function createLinter(dialectName) {
+  let dialect = harperExports.Dialect[dialectName];
+  if (typeof dialect !== 'number') {
+    console.warn(`Unknown dialect "${dialectName}", using American`);
+    dialect = harperExports.Dialect.American;
+  }
+  const linter = harperExports.Linter.new(dialect);
+  applyLintConfig(linter);
+  if (userDictionary.length > 0) {
+    linter.import_words(userDictionary);
+  }
+  if (statsFile) {
+    try {
+      linter.import_stats_file(statsFile);
+    } catch (e) {
+      console.error('Failed to import stats file:', e); // Keep this as console.error - essential error
+    }
+  }
+  return linter;
+}
+
+/**
+ * Apply the user's rule overrides to a linter. Rules without an override are
+ * set to Harper's default explicitly, since a linter keeps its last state for unset rules.
+ * @param {Object} linter - A Harper Linter instance.
+ */
+function applyLintConfig(linter) {
+  try {
+    const config = linter.get_lint_config_as_object();
+    const defaults = harperExports.get_default_lint_config();
+    for (const rule of Object.keys(config)) {
+      config[rule] = typeof lintConfig[rule] === 'boolean' ? lintConfig[rule] : defaults[rule] !== false;
+    }
+    linter.set_lint_config_from_object(config);
+  } catch (e) {
+    console.error('Failed to apply lint config:', e); // Keep this as console.error - essential error
+  }
+}
+
+/**
+ * Replace the rule overrides and re-check all tabs.
+ * @param {Object} config - The new overrides ({ RuleName: true|false }).
+ */
+async function setLintConfig(config) {
+  await harperReady;
+  lintConfig = config ?? {};
+  if (!harperLinter) return;
+  applyLintConfig(harperLinter);
+  broadcastToTabs({ type: 'harper-relint' });
+}
+
+/**
+ * Add words to the personal dictionary, persist it and re-check all tabs.
+ * @param {Array<string>} words - The words to add.
+ */
+async function addWords(words) {
+  await harperReady;
+  if (!harperLinter) return;
+  const cleaned = words.map(word => word.trim()).filter(word => word.length > 0);
+  if (cleaned.length === 0) return;
+
+  harperLinter.import_words(cleaned);
+  userDictionary = harperLinter.export_words();
+  await chrome.storage.local.set({ userDictionary: userDictionary });
+  broadcastToTabs({ type: 'harper-relint' });
+}
+
+// Rules identified for lint messages ("kind|message" -> rule name), see identifyRule.
+const ruleCache = new Map();
+
+/**
+ * Find the rule that produced a lint. Harper's lints do not name their rule, so the
+ * enabled rules are bisected: the paragraph is re-linted with half of the candidates
+ * enabled until a single rule still produces the lint. The user's config is restored after.
+ * @param {string} sourceText - The text the lint was produced for.
+ * @param {string} lintJson - The lint's Harper JSON (see serializeLint).
+ * @returns {Promise<Object|null>} - { rule, description }, or null if no single rule was found.
+ */
+async function identifyRule(sourceText, lintJson) {
+  await harperReady;
+  if (!harperLinter) return null;
+
+  const parsed = JSON.parse(lintJson);
+  const target = parsed.inner;
+  const cacheKey = `${target.lint_kind}|${target.message}`;
+  if (!ruleCache.has(cacheKey)) {
+    ruleCache.set(cacheKey, bisectRules(sourceText, parsed));
+  }
+  const rule = ruleCache.get(cacheKey);
+  if (!rule) return null;
+  return { rule, description: harperLinter.get_lint_descriptions_as_object()[rule] ?? '' };
+}
+
+/**
+ * Bisect the enabled rules to find the one producing a lint (see identifyRule).
+ * @param {string} sourceText - The text the lint was produced for.
+ * @param {Object} parsed - The lint's parsed Harper JSON.
+ * @returns {string|null} - The rule name.
+ */
+function bisectRules(sourceText, parsed) {
+  const target = parsed.inner;
+  const language = harperExports.Language[parsed.language] ?? harperExports.Language.Plain;
+  const config = harperLinter.get_lint_config_as_object();
+  const defaults = harperExports.get_default_lint_config();
+  const allRules = Object.keys(config);
+
+  // Lint with only the given rules enabled and check whether the target lint is among the results
+  const producesLint = (rules) => {
+    const trial = {};
+    allRules.forEach(rule => { trial[rule] = false; });
+    rules.forEach(rule => { trial[rule] = true; });
+    harperLinter.set_lint_config_from_object(trial);
+    const lints = harperLinter.lint(sourceText, language);
+    const found = lints.some(lint => {
+      const span = lint.span();
+      const match = span.start === target.span.start && span.end === target.span.end &&
+        lint.message() === target.message;
+      span.free();
+      return match;
+    });
+    lints.forEach(lint => lint.free());
+    return found;
+  };
+
+  let candidates = allRules.filter(rule =>
+    typeof config[rule] === 'boolean' ? config[rule] : defaults[rule] !== false
+  );
+  try {
+    if (!producesLint(candidates)) return null;
+    while (candidates.length > 1) {
+      const half = candidates.slice(0, Math.ceil(candidates.length / 2));
+      candidates = producesLint(half) ? half : candidates.slice(half.length);
+    }
+    // Rules can interact, so confirm the last candidate on its own
+    return producesLint(candidates) ? candidates[0] : null;
+  } finally {
+    applyLintConfig(harperLinter);
+  }
+}
+
+/**
+ * Turn a rule off in the user's config. The storage listener applies it and re-checks all tabs.
+ * @param {string} rule - The rule name.
+ */
+async function disableRule(rule) {
+  await harperReady;
+  const config = { ...lintConfig, [rule]: false };
+  await chrome.storage.local.set({ lintConfig: config });
+}
+
+/**
+ * Describe every rule for the options page.
+ * @returns {Promise<Object>} - { rules: [{ name, description, enabled, defaultEnabled }] }.
+ */
+async function getLintRules() {
+  await harperReady;
+  if (!harperLinter) return { rules: [] };
+  const descriptions = harperLinter.get_lint_descriptions_as_object();
+  const config = harperLinter.get_lint_config_as_object();
+  const defaults = harperExports.get_default_lint_config();
+  const rules = Object.keys(config).sort().map(name => {
+    const defaultEnabled = defaults[name] !== false;
+    return {
+      name,
+      description: descriptions[name] ?? '',
+      enabled: typeof config[name] === 'boolean' ? config[name] : defaultEnabled,
+      defaultEnabled
+    };
+  });
+  return { rules };
+}
+
+/**
+ * Replace the shared linter with one built for a different dialect.
+ * @param {string} dialectName - A key of harper.Dialect, e.g. "British".
+ */
+async function setDialect(dialectName) {
+  await harperReady;
+  if (dialectName === harperDialect && harperLinter) return;
+
+  try {
+    const oldLinter = harperLinter;
+    harperLinter = createLinter(dialectName);
+    harperDialect = dialectName;
+    activeIgnoreScope = null; // The new linter starts without ignored lints
+    oldLinter?.free();
+  } catch (e) {
+    console.error('Failed to switch dialect:', e); // Keep this as console.error - essential error
+    return;
+  }
+
+  broadcastToTabs({ type: 'harper-relint' });
+}
+
+// ============================================================================
+// Linting
+// ============================================================================
+
+/**
+ * Convert a Harper Lint into a plain object that can cross the message channel.
+ * The underlying WebAssembly objects are freed once they have been read.
+ * `json` holds Harper's own serialization so the Lint can be rebuilt for later engine calls.
+ * @param {Object} lint - A Harper Lint instance.
+ * @returns {Object} - The serialized lint.
+ */
+function serializeLint(lint) {
+  const span = lint.span();
+  const suggestions = lint.suggestions();
+  const serialized = {
+    json: lint.to_json(),
+    start: span.start,
+    end: span.end,
+    kind: lint.lint_kind(),
+    kindPretty: lint.lint_kind_pretty(),
+    message: lint.message(),
+    problemText: lint.get_problem_text(),
+    suggestions: suggestions.map(s => ({
+      text: s.get_replacement_text(),
+      kind: harperExports.SuggestionKind[s.kind()]
+    }))
+  };
+  suggestions.forEach(s => s.free());
+  span.free();
+  lint.free();
+  return serialized;
+}
+
+/**
+ * Lint one or more independent texts (e.g. the changed paragraphs of a field) with the shared linter.
+ * @param {Array<string>} texts - The texts to analyze.
+ * @param {string} language - A key of harper.Language ("Plain" or "Markdown").
+ * @param {Object} [scope] - The field being linted ({ site, field }), for its ignored lints.
+ * @param {boolean} [detectEnglish] - Lint only the English segments of each text (see isolateEnglish).
+ * @returns {Promise<Array<Array>>} - The serialized lints for each text, in order.
+ */
+async function lintTexts(texts, language, scope, detectEnglish) {
+  await harperReady;
+  if (!harperLinter) {
+    console.warn('Harper not loaded yet');
+    return texts.map(() => []);
+  }
+  useIgnoreScope(scope);
+  const lang = harperExports.Language[language] ?? harperExports.Language.Plain;
+  const results = texts.map(text => {
+    if (!detectEnglish) return harperLinter.lint(text, lang).map(serializeLint);
+    const source = isolateEnglish(text);
+    // A lint reaching into a replaced segment would not be about the actual text
+    return harperLinter.lint(source.text, lang).map(serializeLint).filter(lint =>
+      !source.foreign.some(segment => lint.start < segment.end && lint.end > segment.start)
+    );
+  });
+  return results;
+}
+
+/**
+ * Apply one of a lint's suggestions with Harper, which also logs it to the statistics.
+ * @param {string} sourceText - The text the lint was produced for.
+ * @param {string} lintJson - The lint's Harper JSON (see serializeLint).
+ * @param {number} suggestionIndex - Index into the lint's suggestions.
+ * @returns {Promise<string>} - The source text with the suggestion applied.
+ */
+async function applySuggestion(sourceText, lintJson, suggestionIndex) {
+  await harperReady;
+  if (!harperLinter) throw new Error('Harper not loaded yet');
+
+  const lint = harperExports.Lint.from_json(lintJson);
+  const suggestions = lint.suggestions();
+  try {
+    const suggestion = suggestions[suggestionIndex];
+    if (!suggestion) throw new Error(`No suggestion at index ${suggestionIndex}`);
+    const result = harperLinter.apply_suggestion(sourceText, lint, suggestion);
+    await saveStatsFile();
+    return result;
+  } finally {
+    suggestions.forEach(s => s.free());
+    lint.free();
+  }
+}
+
+// ============================================================================
+// Language Detection
+// ============================================================================
+
+// Stands in for each character of a non-English segment, so the English segments keep
+// their offsets. Harper reads it as a symbol and raises no lints of its own for it.
+const FOREIGN_PLACEHOLDER = '\u2022';
+
+/**
+ * Check whether a field's text is English, with Harper's is_likely_english.
+ * @param {string} text - The field's text.
+ * @returns {Promise<boolean>} - True if the text is English (or the engine isn't loaded).
+ */
+async function isLikelyEnglish(text) {
+  await harperReady;
+  if (!harperLinter) return true;
+  return harperLinter.is_likely_english(text);
+}
+
+/**
+ * Split text into sentence-like segments (ending at ., !, ? or a line break).
+ * @param {string} text - The text to split.
+ * @returns {Array<{start: number, end: number}>} - The segments.
+ */
+function splitSegments(text) {
+  const segments = [];
+  const segmentPattern = /[^.!?\n]*(?:[.!?]+["'”’)\]]*|\n|$)/g;
+  let match;
+  while ((match = segmentPattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      if (segmentPattern.lastIndex >= text.length) break;
+      segmentPattern.lastIndex++;
+      continue;
+    }
+    segments.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return segments;
+}
+
+/**
+ * Keep only the English segments of a text, as chosen by Harper's isolate_english.
+ * isolate_english returns the English segments joined together; each one is mapped
+ * back to its place in the text, and everything else is replaced with placeholders
+ * (whitespace is kept), so lints of the result have offsets into the original text.
+ * @param {string} text - The text.
+ * @returns {{text: string, foreign: Array<{start: number, end: number}>}} - The text to lint,
+ *   and the segments that were replaced.
+ */
+function isolateEnglish(text) {
+  const isolated = harperLinter.isolate_english(text);
+  if (isolated === text) return { text, foreign: [] };
+
+  // Walk the original segments in order and find each one in the isolated text
+  const foreign = [];
+  let cursor = 0;
+  for (const segment of splitSegments(text)) {
+    const segmentText = text.slice(segment.start, segment.end).trim();
+    if (!segmentText) continue;
+    const found = isolated.indexOf(segmentText, cursor);
+    if (found !== -1) {
+      cursor = found + segmentText.length;
+    } else {
+      foreign.push(segment);
+    }
+  }
+  if (foreign.length === 0) return { text, foreign };
+
+  const chars = text.split('');
+  for (const segment of foreign) {
+    for (let i = segment.start; i < segment.end; i++) {
+      if (!/\s/.test(chars[i])) chars[i] = FOREIGN_PLACEHOLDER;
+    }
+  }
+  return { text: chars.join(''), foreign };
+}
+
+// ============================================================================
+// Ignored Lints
+// ============================================================================
+
+/**
+ * Load the ignored lints of a field into the linter, replacing those of the previous field.
+ * @param {Object} [scope] - { site, field }; no scope means no ignored lints.
+ */
+function useIgnoreScope(scope) {
+  const scopeKey = scope ? `${scope.site}|${scope.field}` : null;
+  if (scopeKey === activeIgnoreScope) return;
+
+  harperLinter.clear_ignored_lints();
+  const json = scope ? ignoredLints[scope.site]?.[scope.field] : null;
+  if (json) {
+    try {
+      harperLinter.import_ignored_lints(json);
+    } catch (e) {
+      console.error('Failed to import ignored lints:', e); // Keep this as console.error - essential error
+    }
+  }
+  activeIgnoreScope = scopeKey;
+}
+
+/**
+ * Ignore a lint in a field and persist the field's ignored lints.
+ * @param {Object} scope - The field ({ site, field }).
+ * @param {string} sourceText - The text the lint was produced for.
+ * @param {string} lintJson - The lint's Harper JSON (see serializeLint).
+ */
+async function ignoreLint(scope, sourceText, lintJson) {
+  await harperReady;
+  if (!harperLinter) return;
+
+  useIgnoreScope(scope);
+  // ignore_lint takes ownership of the Lint, so it must not be freed here
+  harperLinter.ignore_lint(sourceText, harperExports.Lint.from_json(lintJson));
+
+  ignoredLints[scope.site] = ignoredLints[scope.site] ?? {};
+  ignoredLints[scope.site][scope.field] = harperLinter.export_ignored_lints();
+  await chrome.storage.local.set({ ignoredLints: ignoredLints });
+}
+
+/**
+ * Forget every ignored lint on a site.
+ * @param {string} site - The hostname.
+ */
+async function clearIgnoredLints(site) {
+  await harperReady;
+  delete ignoredLints[site];
+  if (harperLinter && activeIgnoreScope?.startsWith(`${site}|`)) {
+    harperLinter.clear_ignored_lints();
+    activeIgnoreScope = null;
+  }
+  await chrome.storage.local.set({ ignoredLints: ignoredLints });
+  broadcastToTabs({ type: 'harper-relint', hostname: site });
+}
+
+// ============================================================================
+// Statistics
+// ============================================================================
+
+/**
+ * Persist Harper's statistics file.
+ */
+async function saveStatsFile() {
+  statsFile = harperLinter.generate_stats_file();
+  await chrome.storage.local.set({ statsFile: statsFile });
+}
+
+/**
+ * Get the local calendar day of a date as 'YYYY-MM-DD'.
+ * @param {Date} date - The date.
+ * @returns {string} - The day key.
+ */
+function toDayKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Compute a 32-bit FNV-1a hash of a string.
+ * @param {string} str - The string to hash.
+ * @returns {number} - The hash.
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Count lints towards today's "found" statistics. Each distinct issue in a field is
+ * counted once per day, however often the field is re-linted. The content script
+ * reports the lints it shows, after its masks and ignore patterns.
+ * @param {Array} lints - Lints ({ kind, problemText, message }).
+ * @param {Object} [scope] - The field they were found in ({ site, field }).
+ */
+function recordFoundLints(lints, scope) {
+  if (lints.length === 0) return;
+  const today = toDayKey(new Date());
+  if (!foundStats[today]) {
+    // Only today's hashes are needed for de-duplication; drop older ones and very old days
+    for (const day of Object.keys(foundStats)) {
+      delete foundStats[day].seen;
+      if (Date.now() - new Date(`${day}T00:00:00`).getTime() > FOUND_STATS_RETENTION_MS) {
+        delete foundStats[day];
+      }
+    }
+    foundStats[today] = { total: 0, kinds: {}, seen: [] };
+  }
+
+  const entry = foundStats[today];
+  const seen = new Set(entry.seen);
+  const scopeKey = scope ? `${scope.site}|${scope.field}` : '';
+  let changed = false;
+  for (const lint of lints) {
+    const hash = hashString(`${scopeKey}|${lint.kind}|${lint.problemText}|${lint.message}`);
+    if (seen.has(hash)) continue;
+    seen.add(hash);
+    entry.total++;
+    entry.kinds[lint.kind] = (entry.kinds[lint.kind] ?? 0) + 1;
+    changed = true;
+  }
+  if (!changed) return;
+  entry.seen = [...seen];
+
+  // Writes are batched; linting happens on every pause in typing
+  if (foundStatsSaveTimeout) clearTimeout(foundStatsSaveTimeout);
+  foundStatsSaveTimeout = setTimeout(() => {
+    foundStatsSaveTimeout = null;
+    chrome.storage.local.set({ foundStats: foundStats });
+  }, 2000);
+}
+
+/**
+ * Add the counts of one record object ({ Key: count }) to another.
+ * Harper may return either plain objects or Maps.
+ * @param {Object} target - The totals to add to.
+ * @param {Object|Map} counts - The counts to add.
+ */
+function addCounts(target, counts) {
+  const entries = counts instanceof Map ? counts.entries() : Object.entries(counts ?? {});
+  for (const [key, count] of entries) {
+    target[key] = (target[key] ?? 0) + count;
+  }
+}
+
+/**
+ * Summarize writing statistics for the dashboard.
+ * @param {string} [startDay] - First day ('YYYY-MM-DD'), or omitted for all history.
+ * @param {string} [endDay] - Last day ('YYYY-MM-DD'), or omitted for today.
+ * @returns {Promise<Object>} - { days: [{ day, found, fixed }], foundKinds, fixedKinds, misspelled, totals }.
+ */
+async function getStatsSummary(startDay, endDay) {
+  await harperReady;
+  if (!harperLinter) throw new Error('Harper not loaded yet');
+
+  const end = endDay ? new Date(`${endDay}T00:00:00`) : new Date();
+  let start = startDay ? new Date(`${startDay}T00:00:00`) : null;
+  if (!start) {
+    // All history: start at the oldest day we know anything about
+    const firstRecord = statsFile.split('\n').find(line => line.trim());
+    const candidates = Object.keys(foundStats).map(day => new Date(`${day}T00:00:00`));
+    if (firstRecord) {
+      try {
+        candidates.push(new Date(JSON.parse(firstRecord).when * 1000));
+      } catch (e) {
+        // Ignore a malformed first record
+      }
+    }
+    start = candidates.length > 0 ? new Date(Math.min(...candidates)) : new Date(end);
+  }
+  start.setHours(0, 0, 0, 0);
+  end.setHours(0, 0, 0, 0);
+
+  const days = [];
+  const foundKinds = {};
+  let totalFound = 0;
+  for (const day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+    const dayKey = toDayKey(day);
+    const dayStart = BigInt(Math.floor(day.getTime() / 1000));
+    const next = new Date(day);
+    next.setDate(next.getDate() + 1);
+    const dayEnd = BigInt(Math.floor(next.getTime() / 1000) - 1);
+
+    const found = foundStats[dayKey]?.total ?? 0;
+    addCounts(foundKinds, foundStats[dayKey]?.kinds);
+    totalFound += found;
+    const fixed = harperLinter.summarize_stats(dayStart, dayEnd)?.total_applied ?? 0;
+    days.push({ day: dayKey, found, fixed });
+  }
+
+  // One summary over the whole range for fixed kinds and misspellings
+  const rangeEnd = new Date(end);
+  rangeEnd.setDate(rangeEnd.getDate() + 1);
+  const summary = harperLinter.summarize_stats(
+    BigInt(Math.floor(start.getTime() / 1000)),
+    BigInt(Math.floor(rangeEnd.getTime() / 1000) - 1)
+  );
+  const fixedKinds = {};
+  const misspelled = {};
+  addCounts(fixedKinds, summary?.lint_counts);
+  addCounts(misspelled, summary?.misspelled);
+
+  return {
+    days,
+    foundKinds,
+    fixedKinds,
+    misspelled,
+    totals: { found: totalFound, fixed: summary?.total_applied ?? 0 }
+  };
+}
+
+// ============================================================================
+// Lint Request Queue
+// ============================================================================
+
+// Lint requests waiting to run, in arrival order. Each job is
+// { key, version, texts, options, resolve }, where key identifies one field in one frame
+// and options holds { language, scope, detectEnglish }.
+const lintQueue = [];
+let lintQueueRunning = false;
+
+/**
+ * Queue a lint request. A queued request that has not started yet is cancelled
+ * (resolved as stale) when a newer version for the same field arrives.
+ * @param {string} key - Identifies the field: tab, frame and element id.
+ * @param {number} version - The field's edit version; higher is newer.
+ * @param {Array<string>} texts - The texts to analyze.
+ * @param {Object} options - { language, scope, detectEnglish } (see lintTexts).
+ * @returns {Promise<Object>} - Resolves to { results } or { stale: true }.
+ */
+function enqueueLint(key, version, texts, options) {
+  return new Promise((resolve) => {
+    for (let i = lintQueue.length - 1; i >= 0; i--) {
+      const job = lintQueue[i];
+      if (job.key !== key) continue;
+      if (job.version > version) {
+        // A newer request is already waiting, so this one is stale on arrival
+        resolve({ stale: true, version });
+        return;
+      }
+      lintQueue.splice(i, 1);
+      job.resolve({ stale: true, version: job.version });
+    }
+    lintQueue.push({ key, version, texts, options, resolve });
+    runLintQueue();
+  });
+}
+
+/**
+ * Work through the lint queue one request at a time. Between requests we yield
+ * to the event loop so newly arrived messages can cancel stale queued work.
+ */
+async function runLintQueue() {
+  if (lintQueueRunning) return;
+  lintQueueRunning = true;
+  try {
+    while (lintQueue.length > 0) {
+      const job = lintQueue.shift();
+      try {
+        const { language, scope, detectEnglish } = job.options;
+        const results = await lintTexts(job.texts, language, scope, detectEnglish);
+        job.resolve({ results, version: job.version });
+      } catch (e) {
+        console.error('Harper lint failed:', e); // Keep this as console.error - essential error
+        job.resolve({ results: job.texts.map(() => []), version: job.version, error: String(e) });
+      }
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  } finally {
+    lintQueueRunning = false;
+  }
+}
+
+// ============================================================================
+// Case Conversion
+// ============================================================================
+
+// Case conversion modes, as offered in the context menu and keyboard commands
+const CASE_MODES = [
+  { mode: 'title', title: 'Title Case' },
+  { mode: 'sentence', title: 'Sentence case' },
+  { mode: 'upper', title: 'UPPER CASE' },
+  { mode: 'lower', title: 'lower case' }
+];
+
+/**
+ * Convert text to title case with Harper.
+ * @param {string} text - The text to convert.
+ * @returns {Promise<string>} - The converted text.
+ */
+async function toTitleCase(text) {
+  await harperReady;
+  return harperExports.to_title_case(text);
+}
+
+/**
+ * Ask the content script in a frame to convert the case of its current selection.
+ * @param {number} tabId - The tab.
+ * @param {string} mode - One of the CASE_MODES.
+ * @param {number} [frameId] - The frame; all frames when omitted (only the focused one acts).
+ */
+function requestCaseConversion(tabId, mode, frameId) {
+  const options = typeof frameId === 'number' ? { frameId } : undefined;
+  chrome.tabs.sendMessage(tabId, { type: 'harper-convert-case', mode }, options).catch((error) => {
+    // Ignore errors if no content script is present in the tab
+  });
+}
+
+// Build the "Change case" context menu for editable fields
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: 'harper-change-case',
+      title: 'Change case',
+      contexts: ['editable']
+    });
+    for (const { mode, title } of CASE_MODES) {
+      chrome.contextMenus.create({
+        id: `harper-case-${mode}`,
+        parentId: 'harper-change-case',
+        title: title,
+        contexts: ['editable']
+      });
+    }
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const caseMode = CASE_MODES.find(({ mode }) => info.menuItemId === `harper-case-${mode}`);
+  if (caseMode && tab?.id !== undefined) {
+    requestCaseConversion(tab.id, caseMode.mode, info.frameId);
+  }
+});
+
+// Keyboard shortcuts (see "commands" in manifest.json)
+chrome.commands.onCommand.addListener((command, tab) => {
+  const caseMode = CASE_MODES.find(({ mode }) => command === `convert-${mode}-case`);
+  if (caseMode && tab?.id !== undefined) {
+    requestCaseConversion(tab.id, caseMode.mode);
+  }
+});
+
+// ============================================================================
+// Frames
+// ============================================================================
+
+// The content script runs in every frame of a tab. Per tab, this tracks the frame whose
+// field was focused last (the target of popup per-field commands) and each frame's
+// error count. It lives in session storage because the service worker can be stopped
+// at any time: { [tabId]: { focusedFrame, errors: { [frameId]: count } } }.
+const TAB_FRAMES_KEY = 'tabFrames';
+
+// Serializes read-modify-write updates of the session state; never rejects
+let tabFramesUpdate = Promise.resolve();
+
+/**
+ * Queue a read-modify-write step of the session state after the pending ones.
+ * @param {Function} step - Async function that reads and writes the state.
+ * @returns {Promise<*>} - The step's result; rejects if the step fails.
+ */
+function queueTabFramesUpdate(step) {
+  const result = tabFramesUpdate.then(step);
+  // A failed storage call must not stop the steps queued after it
+  tabFramesUpdate = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Update the frame state of a tab.
+ * @param {number} tabId - The tab.
+ * @param {Function} update - Called with the tab's state ({ focusedFrame, errors }) to modify it.
+ * @returns {Promise<Object>} - The updated state of the tab.
+ */
+function updateTabFrames(tabId, update) {
+  return queueTabFramesUpdate(async () => {
+    const data = await chrome.storage.session.get([TAB_FRAMES_KEY]);
+    const tabFrames = data[TAB_FRAMES_KEY] ?? {};
+    const tab = tabFrames[tabId] ?? { focusedFrame: 0, errors: {} };
+    update(tab);
+    tabFrames[tabId] = tab;
+    await chrome.storage.session.set({ [TAB_FRAMES_KEY]: tabFrames });
+    return tab;
+  });
+}
+
+/**
+ * Get the frame state of a tab.
+ * @param {number} tabId - The tab.
+ * @returns {Promise<Object>} - { focusedFrame, errors }.
+ */
+async function getTabFrames(tabId) {
+  await tabFramesUpdate;
+  const data = await chrome.storage.session.get([TAB_FRAMES_KEY]);
+  return data[TAB_FRAMES_KEY]?.[tabId] ?? { focusedFrame: 0, errors: {} };
+}
+
+/**
+ * Record a frame's error count, update the tab's badge and tell the top frame the totals.
+ * @param {number} tabId - The tab.
+ * @param {number} frameId - The frame.
+ * @param {number} count - The number of errors in the frame's fields.
+ */
+async function reportFrameErrors(tabId, frameId, count) {
+  const tab = await updateTabFrames(tabId, (state) => {
+    if (count > 0) {
+      state.errors[frameId] = count;
+    } else {
+      delete state.errors[frameId];
+    }
+  });
+
+  const total = Object.values(tab.errors).reduce((sum, n) => sum + n, 0);
+  chrome.action.setBadgeText({ tabId, text: total > 0 ? String(total) : '' }).catch((error) => {
+    // The tab may have been closed
+  });
+  chrome.tabs.sendMessage(tabId, { type: 'harper-frame-totals', total, frames: tab.errors }, { frameId: 0 }).catch((error) => {
+    // Ignore errors if no content script is present in the top frame
+  });
+}
+
+chrome.action.setBadgeBackgroundColor({ color: '#3E6B89' });
+
+// A new top document starts from scratch in every frame. Same-document navigations
+// (pushState in single-page apps) don't commit, and keep their frames and counts.
+chrome.webNavigation.onCommitted.addListener(({ tabId, frameId }) => {
+  if (frameId !== 0) return;
+  updateTabFrames(tabId, (state) => {
+    state.focusedFrame = 0;
+    state.errors = {};
+  }).catch((e) => {
+    console.warn('Failed to reset frame state:', e);
+  });
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  queueTabFramesUpdate(async () => {
+    const data = await chrome.storage.session.get([TAB_FRAMES_KEY]);
+    const tabFrames = data[TAB_FRAMES_KEY] ?? {};
+    delete tabFrames[tabId];
+    await chrome.storage.session.set({ [TAB_FRAMES_KEY]: tabFrames });
+  }).catch((e) => {
+    console.warn('Failed to release frame state:', e);
+  });
+});
+
+// ============================================================================
+// Messaging Helpers
+// ============================================================================
+
+/**
+ * Send a message to the content scripts of every open tab.
+ * @param {Object} message - The message to send.
+ */
+function broadcastToTabs(message) {
+  chrome.tabs.query({}, (tabs) => {
+    for (const tab of tabs) {
+      chrome.tabs.sendMessage(tab.id, message).catch((error) => {
+        // Ignore errors if no content script is present in the tab
+      });
+    }
+  });
+}
+
+// ============================================================================
+// Message Listener for Engine Requests
+// ============================================================================
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'harper-lint') {
+    const key = `${sender.tab?.id ?? 'ext'}:${sender.frameId ?? 0}:${message.key ?? ''}`;
+    enqueueLint(key, message.version ?? 0, message.texts, {
+      language: message.language,
+      scope: message.scope,
+      detectEnglish: message.detectEnglish
+    })
+      .then(sendResponse);
+    return true; // Keep the channel open for the async response
+  }
+  if (message.type === 'harper-is-english') {
+    isLikelyEnglish(message.text ?? '')
+      .then(english => sendResponse({ english }))
+      .catch(() => sendResponse({ english: true }));
+    return true; // Keep the channel open for the async response
+  }
+  if (message.type === 'harper-record-found') {
+    // Stored counts are loaded with the engine
+    harperReady.then(() => recordFoundLints(message.lints ?? [], message.scope));
+    return;
+  }
+  if (message.type === 'harper-add-words') {
+    addWords(message.words ?? [])
+      .then(() => sendResponse({ ok: true }))
+      .catch((e) => {
+        console.error('Failed to add words to dictionary:', e); // Keep this as console.error - essential error
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true; // Keep the channel open for the async response
+  }
+  if (message.type === 'harper-ignore-lint') {
+    ignoreLint(message.scope, message.text, message.lint)
+      .then(() => sendResponse({ ok: true }))
+      .catch((e) => {
+        console.error('Failed to ignore lint:', e); // Keep this as console.error - essential error
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true; // Keep the channel open for the async response
+  }
+  if (message.type === 'harper-clear-ignored-lints') {
+    clearIgnoredLints(message.site)
+      .then(() => sendResponse({ ok: true }))
+      .catch((e) => {
+        console.error('Failed to clear ignored lints:', e); // Keep this as console.error - essential error
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true; // Keep the channel open for the async response
+  }
+  if (message.type === 'harper-apply-suggestion') {
+    applySuggestion(message.text, message.lint, message.suggestionIndex)
+      .then(text => sendResponse({ ok: true, text }))
+      .catch((e) => {
+        console.error('Failed to apply suggestion:', e); // Keep this as console.error - essential error
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true; // Keep the channel open for the async response
+  }
+  if (message.type === 'harper-get-stats') {
+    getStatsSummary(message.startDay, message.endDay)
+      .then(summary => sendResponse({ ok: true, summary }))
+      .catch((e) => {
+        console.error('Failed to summarize stats:', e); // Keep this as console.error - essential error
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true; // Keep the channel open for the async response
+  }
+  if (message.type === 'harper-identify-rule') {
+    identifyRule(message.text, message.lint)
+      .then(result => sendResponse({ ok: true, ...result }))
+      .catch((e) => {
+        console.error('Failed to identify rule:', e); // Keep this as console.error - essential error
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true; // Keep the channel open for the async response
+  }
+  if (message.type === 'harper-disable-rule') {
+    disableRule(message.rule)
+      .then(() => sendResponse({ ok: true }))
+      .catch((e) => {
+        console.error('Failed to disable rule:', e); // Keep this as console.error - essential error
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true; // Keep the channel open for the async response
+  }
+  if (message.type === 'harper-field-focused') {
+    if (sender.tab?.id !== undefined) {
+      updateTabFrames(sender.tab.id, (state) => {
+        state.focusedFrame = sender.frameId ?? 0;
+      }).catch((e) => {
+        console.warn('Failed to record focused frame:', e);
+      });
+    }
+    return;
+  }
+  if (message.type === 'harper-frame-errors') {
+    if (sender.tab?.id !== undefined) {
+      reportFrameErrors(sender.tab.id, sender.frameId ?? 0, message.count ?? 0).catch((e) => {
+        console.warn('Failed to record frame errors:', e);
+      });
+    }
+    return;
+  }
+  if (message.type === 'harper-get-focused-frame') {
+    getTabFrames(message.tabId)
+      .then(state => sendResponse({ frameId: state.focusedFrame }))
+      .catch(() => sendResponse({ frameId: 0 }));
+    return true; // Keep the channel open for the async response
+  }
+  if (message.type === 'harper-title-case') {
+    toTitleCase(message.text)
+      .then(text => sendResponse({ ok: true, text }))
+      .catch((e) => {
+        console.error('Failed to convert to title case:', e); // Keep this as console.error - essential error
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true; // Keep the channel open for the async response
+  }
+  if (message.type === 'harper-get-lint-rules') {
+    getLintRules().then(sendResponse);
+    return true; // Keep the channel open for the async response
+  }
+  return false;
+});
+
+// Rebuild the engine when settings it depends on change
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes.dialect) {
+    setDialect(changes.dialect.newValue ?? 'American');
+  }
+  if (changes.lintConfig) {
+    setLintConfig(changes.lintConfig.newValue);
+  }
+});
@@ -1,13 +1,21 @@
-// Import the WebAssembly glue module for Harper.
-// This must be at the very top so that harperExports is defined.
-import * as harperExports from './harper/harper_wasm.js';
+// Harper itself runs in the background service worker (background.js).
+// This script only collects text, sends lint requests and renders the results.
+
+import {
+  LINT_KINDS,
+  createDefaultTheme,
+  resolveKindStyle,
+  resolveTooltipTheme,
+  getTextDecoration
+} from './themes.js';
 
 // ============================================================================
 // Global Variables & Initialization
 // ============================================================================
 
 // Global map to store error details for each element.
-window._harperErrorMap = new Map();
+// Weak, so fields torn down by the page don't keep their errors alive.
+window._harperErrorMap = new WeakMap();
 
 // Auto-correction feature state
 window._autoCorrectEnabled = false;
@@ -16,22 +24,26 @@ window._lastAutoCorrection = null; // Tracks the most recent auto-correction for
 // Debug message state
 window._showDebugMessages = false; // Added, default OFF
 
-// Asynchronously initialize the Harper module.
-// Loads the WebAssembly module, runs any setup, and creates a linter instance.
-window.harperReady = (async () => {
-  try {
-    // Load the Harper WebAssembly module.
-    const harper = await harperExports.default();
-    // Expose the module exports globally so that other functions can use them.
-    window.harper = harperExports;
-    // Perform any necessary setup (initialize internal state, etc.).
-    harperExports.setup();
-    // Create a new Linter instance; using American as the default dialect.
-    window.harperLinter = harperExports.Linter.new(harperExports.Dialect.American);
-  } catch (e) {
-    console.error('Failed to initialize Harper:', e); // Keep this as console.error - essential error
-  }
-})();
+// Whether non-English fields, and non-English segments of English fields, are skipped
+window._harperDetectEnglish = true; // default ON
+
+// Per-site language setting for this page's hostname ('Plain', 'Markdown' or null for auto-detect)
+window._harperSiteLanguage = null;
+
+// WeakRef to the editable element that most recently had focus (target of popup per-field commands)
+window._harperLastFocusedElement = null;
+
+// Token classes hidden from the engine ({ urls: true, ... }; missing classes are on)
+window._harperMaskedTokens = {};
+
+// User-defined ignore patterns, compiled to global RegExps
+window._harperIgnorePatterns = [];
+
+// Underline and tooltip theme (see themes.js)
+window._harperTheme = createDefaultTheme();
+
+// Lint kinds that get a ::highlight() rule in the theme stylesheet (unknown kinds are added as seen)
+window._harperHighlightKinds = new Set(LINT_KINDS);
 
 // ============================================================================
 // Debug Logging Helper Functions
@@ -61,50 +73,483 @@ function debugError(...args) {
 // ============================================================================
 
 /**
- * Analyze the provided text using the Harper linter.
+ * Analyze the provided text using the shared Harper engine in the background service worker.
+ * Masked tokens are replaced with placeholders first (see maskText). The text is then split
+ * into paragraphs and only paragraphs missing from the lint cache are sent to the engine;
+ * cached results are shifted to the paragraph's current offset.
+ * Requests for the same element carry increasing versions, so the engine can drop
+ * queued requests that newer input has already superseded.
  * @param {string} text - The text to analyze.
- * @returns {Promise<Array>} - A promise that resolves to an array of error objects.
+ * @param {Object} [request] - Identifies the field being linted.
+ * @param {number} [request.key] - The element's id (see getElementId).
+ * @param {number} [request.version] - The element's lint version.
+ * @param {string} [request.language] - 'Plain' (default) or 'Markdown'.
+ * @param {Object} [request.scope] - The field's ignore scope ({ site, field }, see getIgnoreScope).
+ * @returns {Promise<Array|null>} - A promise that resolves to an array of serialized lints
+ *   ({ start, end, kind, kindPretty, message, problemText, suggestions }),
+ *   or null if the request was superseded by a newer one.
  */
-async function analyzeText(text) {
-  await window.harperReady; // Wait for the initialization.
-  if (!window.harperLinter || typeof window.harperLinter.lint !== 'function') {
-    console.warn('Harper not loaded yet');
+async function analyzeText(text, request = {}) {
+  if (text.trim().length === 0) return [];
+  const language = request.language ?? 'Plain';
+  // Results depend on the language and on the field's ignored lints
+  const namespace = getLintCacheNamespace(language, request.scope, window._harperDetectEnglish);
+  // Paragraphs are cached by their masked text, so changing the masks re-lints what they cover
+  const { masked, ranges } = maskText(text);
+  if (window._harperDetectEnglish && !(await isFieldEnglish(masked))) {
+    debugLog('🌐 Skipping a field that is not in English');
     return [];
   }
-  if (text.trim().length === 0) return [];
+  const chunks = splitIntoChunks(text, language).map(chunk => ({
+    text: masked.slice(chunk.offset, chunk.offset + chunk.text.length),
+    offset: chunk.offset
+  }));
+
+  // Look up every paragraph once and collect the distinct ones that still need linting.
+  // Results are kept here rather than re-read from the cache: with more paragraphs
+  // than the cache holds, writing new results can evict ones this pass still needs.
+  const results = new Map();
+  const missing = new Set();
+  for (const chunk of chunks) {
+    if (chunk.text.trim().length === 0 || results.has(chunk.text) || missing.has(chunk.text)) continue;
+    const cached = lintCacheGet(namespace, chunk.text);
+    if (cached) {
+      results.set(chunk.text, cached);
+    } else {
+      missing.add(chunk.text);
+    }
+  }
+  debugLog(`♻️ ${chunks.length - missing.size}/${chunks.length} paragraphs served from cache`);
+
+  if (missing.size > 0) {
+    const texts = [...missing];
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'harper-lint',
+        texts: texts,
+        language: language,
+        scope: request.scope,
+        detectEnglish: window._harperDetectEnglish,
+        key: request.key,
+        version: request.version
+      });
+      if (response?.stale) return null;
+      if (!response || response.error) {
+        console.error('Harper lint failed:', response?.error); // Keep this as console.error - essential error
+        return [];
+      }
+      texts.forEach((chunkText, i) => {
+        results.set(chunkText, response.results[i]);
+        lintCacheSet(namespace, chunkText, response.results[i]);
+      });
+    } catch (e) {
+      console.error('Harper lint request failed:', e); // Keep this as console.error - essential error
+      return [];
+    }
+  }
+
+  // Rebase each paragraph's lints onto its offset in the full text
+  const lints = [];
+  for (const chunk of chunks) {
+    const chunkLints = results.get(chunk.text) ?? [];
+    for (const lint of chunkLints) {
+      lints.push({ ...lint, start: lint.start + chunk.offset, end: lint.end + chunk.offset });
+    }
+  }
+  return dropMaskedLints(lints, ranges);
+}
+
+// Fields with fewer words than this are too short to tell their language
+const ENGLISH_DETECTION_MIN_WORDS = 4;
+
+/**
+ * Ask the engine whether a field's text is English (Harper's is_likely_english).
+ * Within an English field, non-English segments are left out by the engine itself.
+ * @param {string} text - The field's text, with masked tokens replaced.
+ * @returns {Promise<boolean>} - True if the field should be linted.
+ */
+async function isFieldEnglish(text) {
+  const wordCount = text.match(/\p{L}+/gu)?.length ?? 0;
+  if (wordCount < ENGLISH_DETECTION_MIN_WORDS) return true;
   try {
-    // Analyze the text in "plain" mode.
-    return window.harperLinter.lint(text, window.harper.Language.Plain);
+    const response = await chrome.runtime.sendMessage({ type: 'harper-is-english', text: text });
+    return response?.english ?? true;
   } catch (e) {
-    console.error('Harper lint failed:', e); // Keep this as console.error - essential error
-    return [];
+    debugWarn('English detection failed:', e);
+    return true;
+  }
+}
+
+// ============================================================================
+// Incremental Linting: Paragraph Chunks & Result Cache
+// ============================================================================
+
+// Maximum number of paragraphs whose lint results are kept
+const LINT_CACHE_CAPACITY = 500;
+
+// LRU cache of lint results: Map iteration order doubles as recency order.
+// Keys are "<namespace>:<hash>", values are { text, lints } with lint offsets relative to the paragraph.
+window._harperLintCache = new Map();
+
+/**
+ * Split text into paragraphs at blank lines, so hard-wrapped lines stay in the same
+ * sentence. Each chunk keeps its trailing blank lines so that the chunks concatenate
+ * back to the original text. In Markdown, code blocks are kept whole (see mergeMarkdownBlocks).
+ * @param {string} text - The text to split.
+ * @param {string} [language='Plain'] - 'Plain' or 'Markdown'.
+ * @returns {Array<{text: string, offset: number}>} - The chunks and their start offsets.
+ */
+function splitIntoChunks(text, language = 'Plain') {
+  const chunks = [];
+  // A line break followed by one or more lines holding only whitespace
+  const paragraphBreak = /\n(?:[^\S\n]*\n)+/g;
+  let offset = 0;
+  let match;
+  while ((match = paragraphBreak.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    chunks.push({ text: text.slice(offset, end), offset: offset });
+    offset = end;
+  }
+  if (offset < text.length) {
+    chunks.push({ text: text.slice(offset), offset: offset });
+  }
+  return language === 'Markdown' ? mergeMarkdownBlocks(chunks) : chunks;
+}
+
+// Opening or closing line of a fenced code block: up to 3 spaces, then ``` or ~~~ or longer
+const MARKDOWN_FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+
+// First line of an indented code block (or of a list item's continuation)
+const MARKDOWN_INDENTED_PATTERN = /^(?: {4}|\t)/;
+
+/**
+ * Merge Markdown paragraphs that the parser has to see together. Code lines linted
+ * on their own read as prose, so a fenced block is kept in one chunk up to its closing
+ * fence, and an indented paragraph stays with the one before it (it is either more of
+ * a code block or list item, or a code block that still parses as one there).
+ * @param {Array<{text: string, offset: number}>} paragraphs - From splitIntoChunks.
+ * @returns {Array<{text: string, offset: number}>} - The merged chunks.
+ */
+function mergeMarkdownBlocks(paragraphs) {
+  const chunks = [];
+  let fence = null; // The open fence, e.g. "```"
+  for (const paragraph of paragraphs) {
+    const previous = chunks[chunks.length - 1];
+    if (previous && (fence || MARKDOWN_INDENTED_PATTERN.test(paragraph.text))) {
+      previous.text += paragraph.text;
+    } else {
+      chunks.push({ ...paragraph });
+    }
+
+    for (const line of paragraph.text.split('\n')) {
+      const match = MARKDOWN_FENCE_PATTERN.exec(line);
+      if (!match) continue;
+      if (!fence) {
+        fence = match[1];
+      } else if (match[1][0] === fence[0] && match[1].length >= fence.length && !match[2].trim()) {
+        fence = null;
+      }
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Find the paragraph containing an offset, as it was sent to the engine (with its
+ * masked tokens replaced), which is the source text Harper needs for the paragraph's lints.
+ * @param {string} text - The full text.
+ * @param {number} offset - An offset into the text.
+ * @param {string} [language='Plain'] - The language the text was linted as.
+ * @returns {{text: string, offset: number}|undefined} - The chunk, if any.
+ */
+function findChunkAt(text, offset, language = 'Plain') {
+  const chunk = splitIntoChunks(text, language).find(c => offset >= c.offset && offset < c.offset + c.text.length);
+  if (!chunk) return undefined;
+  const { masked } = maskText(text);
+  return { text: masked.slice(chunk.offset, chunk.offset + chunk.text.length), offset: chunk.offset };
+}
+
+/**
+ * Compute a 32-bit FNV-1a hash of a string.
+ * @param {string} str - The string to hash.
+ * @returns {string} - The hash as a hex string.
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Build the cache namespace for lint results of a field.
+ * @param {string} language - The language the text is linted as.
+ * @param {Object} [scope] - The field's ignore scope ({ site, field }).
+ * @param {boolean} [detectEnglish] - Whether non-English text is skipped.
+ * @returns {string} - The namespace.
+ */
+function getLintCacheNamespace(language, scope, detectEnglish) {
+  const base = detectEnglish ? `${language}+en` : language;
+  return scope ? `${base}|${scope.site}|${scope.field}` : base;
+}
+
+/**
+ * Look up cached lint results for a paragraph and mark them as recently used.
+ * @param {string} namespace - The cache namespace (see getLintCacheNamespace).
+ * @param {string} chunkText - The paragraph text.
+ * @returns {Array|undefined} - The cached lints, or undefined on a miss.
+ */
+function lintCacheGet(namespace, chunkText) {
+  const key = `${namespace}:${hashString(chunkText)}`;
+  const entry = window._harperLintCache.get(key);
+  // Compare the text too, so a hash collision is just a cache miss
+  if (!entry || entry.text !== chunkText) return undefined;
+  window._harperLintCache.delete(key);
+  window._harperLintCache.set(key, entry);
+  return entry.lints;
+}
+
+/**
+ * Store lint results for a paragraph, evicting the least recently used entries.
+ * @param {string} namespace - The cache namespace (see getLintCacheNamespace).
+ * @param {string} chunkText - The paragraph text.
+ * @param {Array} lints - The lints, with offsets relative to the paragraph.
+ */
+function lintCacheSet(namespace, chunkText, lints) {
+  const key = `${namespace}:${hashString(chunkText)}`;
+  window._harperLintCache.delete(key);
+  window._harperLintCache.set(key, { text: chunkText, lints: lints || [] });
+  while (window._harperLintCache.size > LINT_CACHE_CAPACITY) {
+    window._harperLintCache.delete(window._harperLintCache.keys().next().value);
+  }
+}
+
+/**
+ * Drop every cached result in a namespace.
+ * @param {string} namespace - The cache namespace (see getLintCacheNamespace).
+ */
+function lintCacheClear(namespace) {
+  for (const key of [...window._harperLintCache.keys()]) {
+    if (key.startsWith(`${namespace}:`)) {
+      window._harperLintCache.delete(key);
+    }
+  }
+}
+
+// ============================================================================
+// Masking: URLs, Mentions, Code and Other Non-Prose Tokens
+// ============================================================================
+
+// Tokens that are not prose. They are replaced with placeholders of the same length before
+// linting, so the engine never sees them and the offsets of its lints stay exact.
+const MASK_TOKEN_PATTERNS = {
+  urls: /\b(?:[a-z][a-z0-9+.-]*:\/\/|www\.)[^\s<>"'`]*[^\s<>"'`.,;:!?)\]}]/gi,
+  emails: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+  mentions: /(?<![\w@])@[\w][\w-]*(?:\/[\w-]+)?/g,
+  hashtags: /(?<![\w#&])#[\p{L}\p{N}_][\p{L}\p{N}_-]*/gu,
+  code: /```[\s\S]*?(?:```|$)|~~~[\s\S]*?(?:~~~|$)|`[^`\n]+`/g,
+  identifiers: /\b_*[A-Za-z][A-Za-z0-9]*(?:_+[A-Za-z0-9]+)+\b|\b[a-z][a-z0-9]*(?:[A-Z][a-z0-9]*)+\b|\b[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*\(\)/g,
+  paths: /(?<![\w/])(?:~|\.{1,2})?\/(?:[\w.-]+\/)*[\w.-]+\/?|\b[A-Za-z]:\\(?:[^\\\s]+\\)*(?:[^\\\s]*[^\\\s.,;:!?)\]}])?|\b(?:[\w.-]+\/)+[\w-]+\.[A-Za-z0-9]+\b/g
+};
+
+/**
+ * Compile user-defined ignore patterns. Invalid patterns are skipped.
+ * @param {Array<string>} patterns - Regular expression sources.
+ * @returns {Array<RegExp>} - The compiled patterns.
+ */
+function compileIgnorePatterns(patterns) {
+  const compiled = [];
+  for (const source of patterns ?? []) {
+    if (!source) continue;
+    try {
+      compiled.push(new RegExp(source, 'gu'));
+    } catch (e) {
+      debugWarn(`Skipping invalid ignore pattern ${source}:`, e);
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Find the ranges of text that must not be linted.
+ * @param {string} text - The full text of the field.
+ * @returns {Array<{start: number, end: number}>} - The masked ranges.
+ */
+function findMaskedRanges(text) {
+  const patterns = Object.entries(MASK_TOKEN_PATTERNS)
+    .filter(([tokenClass]) => window._harperMaskedTokens[tokenClass] !== false)
+    .map(([, pattern]) => pattern)
+    .concat(window._harperIgnorePatterns);
+
+  const ranges = [];
+  for (const pattern of patterns) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        // Empty matches (e.g. from a user pattern) would never advance
+        pattern.lastIndex++;
+        continue;
+      }
+      ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return ranges;
+}
+
+// Stands in for each character of a masked token: Harper reads it as a symbol, so it
+// raises no spelling, capitalization, spacing or repetition lints of its own
+const MASK_PLACEHOLDER = '\u2022';
+
+/**
+ * Replace masked tokens with placeholders. Line breaks and other whitespace inside a token
+ * are kept, so the text splits into the same paragraphs and every offset stays the same.
+ * @param {string} text - The full text of the field.
+ * @returns {{masked: string, ranges: Array<{start: number, end: number}>}} - The text to
+ *   lint and the masked ranges.
+ */
+function maskText(text) {
+  const ranges = findMaskedRanges(text);
+  if (ranges.length === 0) return { masked: text, ranges };
+
+  const chars = text.split('');
+  for (const range of ranges) {
+    for (let i = range.start; i < range.end; i++) {
+      if (!/\s/.test(chars[i])) chars[i] = MASK_PLACEHOLDER;
+    }
+  }
+  return { masked: chars.join(''), ranges };
+}
+
+/**
+ * Drop lints that cover part of a masked token. The engine only saw placeholders there,
+ * so such a lint (and its suggestions) would not be about the actual text.
+ * @param {Array} lints - Lints with offsets into the full text.
+ * @param {Array<{start: number, end: number}>} ranges - The masked ranges (see maskText).
+ * @returns {Array} - The remaining lints.
+ */
+function dropMaskedLints(lints, ranges) {
+  if (lints.length === 0 || ranges.length === 0) return lints;
+  const kept = lints.filter(lint => !ranges.some(range =>
+    lint.start < range.end && lint.end > range.start
+  ));
+  debugLog(`🙈 ${ranges.length} tokens masked, ${lints.length - kept.length} lints on them dropped`);
+  return kept;
+}
+
+// ============================================================================
+// Markdown Detection
+// ============================================================================
+
+// Fields known to hold Markdown. The optional host pattern is matched against location.hostname.
+const MARKDOWN_SITE_PATTERNS = [
+  // GitHub issues, pull requests, discussions and wikis
+  { host: /(^|\.)github\.com$/, selector: 'textarea' },
+  // GitLab (hosted and self-managed instances use the same field classes)
+  { selector: 'textarea.js-gfm-input, textarea.markdown-area' },
+  // Gitea / Forgejo
+  { selector: '.markdown-text-editor, textarea.markdown-text-editor' },
+  // Stack Exchange sites
+  { selector: 'textarea.wmd-input, textarea.js-stacks-validation' },
+  // Discourse forums
+  { selector: 'textarea.d-editor-input' },
+  // Bitbucket, Reddit and other editors that label their Markdown fields
+  { selector: 'textarea[data-markdown], textarea[name*="markdown" i], textarea[id*="markdown" i]' }
+];
+
+/**
+ * Parse a language name from an attribute or setting.
+ * @param {string} value - e.g. "markdown", "md", "plain".
+ * @returns {string|null} - 'Markdown', 'Plain' or null if unrecognized.
+ */
+function parseLanguage(value) {
+  const normalized = (value || '').trim().toLowerCase();
+  if (normalized === 'markdown' || normalized === 'md') return 'Markdown';
+  if (normalized === 'plain' || normalized === 'text') return 'Plain';
+  return null;
+}
+
+/**
+ * Decide whether an element should be linted as Markdown or plain text.
+ * In order of precedence: a mode forced from the popup for this field, a
+ * data-harper-language attribute on the element or an ancestor, the per-site
+ * setting, and finally the built-in site patterns.
+ * @param {HTMLElement} element - The target element.
+ * @returns {string} - 'Markdown' or 'Plain'.
+ */
+function getElementLanguage(element) {
+  if (element._harperLanguageOverride) return element._harperLanguageOverride;
+
+  const annotated = element.closest('[data-harper-language]');
+  const attributeLanguage = parseLanguage(annotated?.getAttribute('data-harper-language'));
+  if (attributeLanguage) return attributeLanguage;
+
+  if (window._harperSiteLanguage) return window._harperSiteLanguage;
+
+  return detectMarkdownField(element) ? 'Markdown' : 'Plain';
+}
+
+/**
+ * Check whether an element matches one of the known Markdown-authoring fields.
+ * @param {HTMLElement} element - The target element.
+ * @returns {boolean} - Whether the field is a known Markdown editor.
+ */
+function detectMarkdownField(element) {
+  const hostname = location.hostname;
+  return MARKDOWN_SITE_PATTERNS.some(pattern => {
+    try {
+      return (!pattern.host || pattern.host.test(hostname)) && element.matches(pattern.selector);
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+// Counter used to give every processed element a stable id for lint requests
+let harperElementIdCounter = 0;
+
+/**
+ * Get (or assign) the id used to identify an element in lint requests.
+ * @param {HTMLElement} element - The target element.
+ * @returns {number} - The element's id.
+ */
+function getElementId(element) {
+  if (!element._harperId) {
+    element._harperId = ++harperElementIdCounter;
   }
+  return element._harperId;
 }
 
 /**
- * Get the underline color for an error, based on its type.
+ * Get the underline color for an error from the current theme, based on its type.
  * @param {string} kindRaw - The raw error type.
  * @returns {string} - The corresponding color string.
  */
 function getErrorColor(kindRaw) {
-  let color = 'gray';
-  const kind = kindRaw.toLowerCase();
-  if (kind.includes('spell')) color = 'red';
-  else if (kind.includes('word')) color = 'green';
-  else if (kind.includes('style')) color = 'orange';
-  else if (kind.includes('repetition')) color = 'blue';
-  return color;
+  return resolveKindStyle(window._harperTheme, kindRaw).color;
 }
 
 /**
- * Render error highlights on the element using an overlay approach that doesn't affect cursor position.
- * For both contenteditable elements and inputs/textareas, we use an overlay div to show error highlights.
+ * Render error highlights on the element without affecting the cursor position.
+ * Contenteditable elements are underlined with the CSS Custom Highlight API where available,
+ * so the underlines follow the real layout. Inputs and textareas (and contenteditable
+ * elements in browsers without the API) get an overlay div that mirrors the text.
  *
  * @param {HTMLElement} element - The target element.
  * @param {string} text - The current text content of the element.
  * @param {Array} errors - An array of error objects returned by the linter.
  */
 function renderErrors(element, text, errors) {
+  if (isContentEditableField(element) && supportsCustomHighlights(element.ownerDocument.defaultView)) {
+    renderHighlights(element, errors);
+    return;
+  }
+
+  // Fields without errors don't need an overlay until they have one
+  if (errors.length === 0 && !element._harperOverlay) return;
+
   // Ensure the element has an overlay
   ensureOverlay(element);
   
@@ -114,30 +559,36 @@ function renderErrors(element, text, errors) {
     return;
   }
   
-  // Sort errors from end to start to avoid position shifts
-  errors.sort((a, b) => b.span().start - a.span().start);
-  
-  // Create HTML with error spans
-  let html = text;
-  errors.forEach(error => {
-    const span = error.span();
-    const color = getErrorColor(error.lint_kind());
+  // Build the mirrored text with error spans, escaping the text so it renders exactly as typed.
+  // Overlapping errors can't both be wrapped; the first one wins.
+  const sorted = [...errors].sort((a, b) => a.start - b.start);
+  let html = '';
+  let cursor = 0;
+  sorted.forEach(error => {
+    if (error.start < cursor) return;
+    const underline = resolveKindStyle(window._harperTheme, error.kind);
     
     // Encode suggestions into a data attribute for later retrieval
     const suggestionsJson = encodeURIComponent(
-      JSON.stringify(error.suggestions().map(s => s.get_replacement_text()))
+      JSON.stringify(error.suggestions)
     );
     
     // Construct a span tag that highlights the error
     const spanHtml = `<span class="harper-error"
-      style="text-decoration: underline; text-decoration-color: ${color}; text-decoration-style: solid;"
+      style="text-decoration: ${escapeHtml(getTextDecoration(underline))};"
       data-suggestions="${suggestionsJson}"
-      data-start="${span.start}" data-end="${span.end}">` +
-      text.slice(span.start, span.end) +
+      data-kind="${escapeHtml(error.kind)}"
+      data-start="${error.start}" data-end="${error.end}">` +
+      escapeHtml(text.slice(error.start, error.end)) +
       `</span>`;
     
-    html = html.slice(0, span.start) + spanHtml + html.slice(span.end);
+    html += escapeHtml(text.slice(cursor, error.start)) + spanHtml;
+    cursor = error.end;
   });
+  html += escapeHtml(text.slice(cursor));
+
+  // A textarea shows a line after a trailing newline; a div collapses it unless it has content
+  if (text.endsWith('\n')) html += ' ';
   
   // Update the overlay's content
   element._harperOverlay.innerHTML = html;
@@ -146,19 +597,284 @@ function renderErrors(element, text, errors) {
   syncOverlay(element);
 }
 
+// ============================================================================
+// Contenteditable Text Mapping & Custom Highlights
+// ============================================================================
+
+/**
+ * Escape text for use in HTML.
+ * @param {string} text - The raw text.
+ * @returns {string} - The escaped text.
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Check whether a field is edited as rich text: a contenteditable element, or the body
+ * of a document in designMode (as used by iframe-based editors like TinyMCE and CKEditor 4).
+ * @param {HTMLElement} element - The field.
+ * @returns {boolean} - True for contenteditable and designMode fields.
+ */
+function isContentEditableField(element) {
+  return element.isContentEditable || element.matches('[contenteditable]:not([contenteditable="false"])');
+}
+
+/**
+ * Check whether the browser supports the CSS Custom Highlight API.
+ * @param {Window} [view] - The window to check; fields in same-origin iframes use their frame's.
+ * @returns {boolean} - True if CSS.highlights and Highlight are available.
+ */
+function supportsCustomHighlights(view = window) {
+  return !!view?.CSS?.highlights && typeof view.Highlight === 'function';
+}
+
+/**
+ * Map every offset of a contenteditable element's innerText (the text that is linted)
+ * to a position in its DOM text nodes. innerText adds line breaks for blocks and <br>s
+ * and collapses whitespace, so the two are aligned character by character.
+ * @param {HTMLElement} element - The contenteditable element.
+ * @returns {{text: string, positions: Array<{node: Node, offset: number, virtual?: boolean}>}} -
+ *   positions[i] is the DOM position of text[i] (virtual for characters only innerText has);
+ *   positions[text.length] is the end of the text.
+ */
+function buildTextMap(element) {
+  const text = element.innerText || '';
+  const positions = new Array(text.length + 1);
+  const isSpace = (char) => /\s/.test(char);
+
+  const walker = element.ownerDocument.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  let node = walker.nextNode();
+  let nodeOffset = 0;
+  let i = 0;
+  let last = { node: element, offset: 0 };
+
+  while (i < text.length && node) {
+    if (nodeOffset >= node.nodeValue.length) {
+      last = { node, offset: node.nodeValue.length };
+      node = walker.nextNode();
+      nodeOffset = 0;
+      continue;
+    }
+    const domChar = node.nodeValue[nodeOffset];
+    const textChar = text[i];
+    if (
+      domChar === textChar ||
+      (isSpace(domChar) && isSpace(textChar)) ||
+      domChar.toLowerCase() === textChar.toLowerCase() // text-transform
+    ) {
+      positions[i++] = { node, offset: nodeOffset++ };
+    } else if (isSpace(textChar)) {
+      // A line break innerText added for a block or <br>: it sits before the next DOM character
+      positions[i++] = { node, offset: nodeOffset, virtual: true };
+    } else {
+      // Collapsed whitespace or text that isn't rendered
+      nodeOffset++;
+    }
+  }
+
+  // Whatever is left (e.g. trailing line breaks) maps to the end of the text
+  const end = node ? { node, offset: Math.min(nodeOffset, node.nodeValue.length) } : last;
+  for (; i < text.length; i++) {
+    positions[i] = { ...end, virtual: true };
+  }
+  positions[text.length] = end;
+  return { text, positions };
+}
+
+/**
+ * Create a DOM Range for a span of a contenteditable element's text.
+ * @param {HTMLElement} element - The contenteditable element.
+ * @param {number} start - Start offset in the element's innerText.
+ * @param {number} end - End offset in the element's innerText.
+ * @param {Object} [textMap] - A map from buildTextMap, to avoid rebuilding it for many spans.
+ * @returns {Range|null} - The range, or null if the span is outside the text.
+ */
+function createTextRange(element, start, end, textMap = buildTextMap(element)) {
+  const { text, positions } = textMap;
+  if (start < 0 || end > text.length || start > end) return null;
+
+  const range = element.ownerDocument.createRange();
+  range.setStart(positions[start].node, positions[start].offset);
+  if (end > start) {
+    // End right after the last character, so the range doesn't reach into the next block
+    const lastChar = positions[end - 1];
+    range.setEnd(lastChar.node, lastChar.virtual ? lastChar.offset : lastChar.offset + 1);
+  } else {
+    range.collapse(true);
+  }
+  return range;
+}
+
+/**
+ * Convert a DOM position inside a contenteditable element to an offset in its innerText.
+ * @param {HTMLElement} element - The contenteditable element.
+ * @param {Node} node - The position's container.
+ * @param {number} offset - The position's offset within node.
+ * @returns {number} - The innerText offset.
+ */
+function getTextOffset(element, node, offset) {
+  const { text, positions } = buildTextMap(element);
+  const point = element.ownerDocument.createRange();
+  point.setStart(node, offset);
+  // The first character at or after the position; comparePoint is 0 when equal, 1 when after
+  for (let i = 0; i < text.length; i++) {
+    if (point.comparePoint(positions[i].node, positions[i].offset) >= 0) return i;
+  }
+  return text.length;
+}
+
+/**
+ * Get the name of the highlight used for a lint kind.
+ * @param {string} kind - The lint kind.
+ * @returns {string} - A name usable in ::highlight().
+ */
+function getHighlightName(kind) {
+  return `harper-${String(kind).replace(/[^A-Za-z0-9-]/g, '') || 'Miscellaneous'}`;
+}
+
+/**
+ * Get the shared Highlight registered for a lint kind, creating it (and its
+ * ::highlight() rule) on first use. Every window has its own highlight registry,
+ * so fields in same-origin iframes register in their frame's.
+ * @param {string} kind - The lint kind.
+ * @param {Window} [view] - The field's window.
+ * @returns {Highlight} - The highlight.
+ */
+function getKindHighlight(kind, view = window) {
+  const name = getHighlightName(kind);
+  let highlight = view.CSS.highlights.get(name);
+  if (!highlight) {
+    highlight = new view.Highlight();
+    view.CSS.highlights.set(name, highlight);
+    adoptHighlightStyles(view.document);
+    if (!window._harperHighlightKinds.has(kind)) {
+      window._harperHighlightKinds.add(kind);
+      updateHighlightStyles();
+    }
+  }
+  return highlight;
+}
+
+// Stylesheets holding the ::highlight() rules, one per window (a constructed
+// stylesheet can only be adopted by documents of the window that created it).
+// Entries of frames are released when the frame unloads or is removed (see releaseHighlightSheets).
+window._harperHighlightSheets = new Map();
+
+/**
+ * Adopt the stylesheet holding the ::highlight() rules into a document or shadow root.
+ * Styles don't cross shadow boundaries, so every shadow root with fields needs it.
+ * @param {Document|ShadowRoot} root - The document or shadow root.
+ */
+function adoptHighlightStyles(root) {
+  const view = (root.ownerDocument ?? root).defaultView;
+  if (!supportsCustomHighlights(view)) return;
+  try {
+    let sheet = window._harperHighlightSheets.get(view);
+    if (!sheet) {
+      sheet = new view.CSSStyleSheet();
+      sheet.replaceSync(getHighlightRules());
+      window._harperHighlightSheets.set(view, sheet);
+      if (view !== window) {
+        // Removing an iframe unloads its document, so editors that recreate their
+        // frames don't leave their old windows behind here
+        view.addEventListener('pagehide', () => window._harperHighlightSheets.delete(view), { once: true });
+      }
+    }
+    if (!root.adoptedStyleSheets.includes(sheet)) {
+      root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+    }
+  } catch (e) {
+    debugWarn('Could not adopt highlight styles:', e);
+  }
+}
+
+/**
+ * Drop the stylesheets of frames that were removed.
+ */
+function releaseHighlightSheets() {
+  for (const view of window._harperHighlightSheets.keys()) {
+    if (view.closed) window._harperHighlightSheets.delete(view);
+  }
+}
+
+/**
+ * Build the ::highlight() rules for the current theme.
+ * @returns {string} - The CSS.
+ */
+function getHighlightRules() {
+  return [...window._harperHighlightKinds].map(kind => {
+    const underline = resolveKindStyle(window._harperTheme, kind);
+    return `::highlight(${getHighlightName(kind)}) { text-decoration: ${getTextDecoration(underline)}; }`;
+  }).join('\n');
+}
+
+/**
+ * Write the ::highlight() rules for the current theme into the constructed stylesheets
+ * adopted by the documents (and shadow roots), so the page DOM is not touched.
+ */
+function updateHighlightStyles() {
+  if (!supportsCustomHighlights()) return;
+  try {
+    adoptHighlightStyles(document);
+    const rules = getHighlightRules();
+    releaseHighlightSheets();
+    for (const sheet of window._harperHighlightSheets.values()) {
+      sheet.replaceSync(rules);
+    }
+  } catch (e) {
+    console.error('Error updating highlight styles:', e); // Keep this as console.error - essential error
+  }
+}
+
+/**
+ * Underline errors in a contenteditable element with the CSS Custom Highlight API.
+ * The page DOM is left untouched; the element's previous ranges are replaced.
+ * @param {HTMLElement} element - The contenteditable element.
+ * @param {Array} errors - The element's errors.
+ */
+function renderHighlights(element, errors) {
+  clearHighlights(element);
+
+  const textMap = buildTextMap(element);
+  const ranges = [];
+  for (const error of errors) {
+    const range = createTextRange(element, error.start, error.end, textMap);
+    if (!range || range.collapsed) continue;
+    const highlight = getKindHighlight(error.kind || 'Miscellaneous', element.ownerDocument.defaultView);
+    if (!element._harperSuspended) highlight.add(range);
+    ranges.push({ highlight, range });
+  }
+  element._harperHighlightRanges = ranges;
+}
+
+/**
+ * Remove an element's ranges from the shared highlights.
+ * @param {HTMLElement} element - The contenteditable element.
+ */
+function clearHighlights(element) {
+  for (const { highlight, range } of element._harperHighlightRanges ?? []) {
+    highlight.delete(range);
+  }
+  element._harperHighlightRanges = [];
+}
+
 /**
  * Get the caret position (number of characters) in a contenteditable element.
  * @param {HTMLElement} element - The contenteditable element.
- * @returns {number} - The caret position.
+ * @returns {number} - The caret position as an offset in the element's innerText.
  */
 function getCaretPositionContentEditable(element) {
-  const selection = window.getSelection();
+  const selection = getElementSelection(element);
   if (selection && selection.rangeCount > 0) {
     const range = selection.getRangeAt(0);
-    const preRange = range.cloneRange();
-    preRange.selectNodeContents(element);
-    preRange.setEnd(range.endContainer, range.endOffset);
-    return preRange.toString().length;
+    if (element.contains(range.endContainer)) {
+      return getTextOffset(element, range.endContainer, range.endOffset);
+    }
   }
   return 0;
 }
@@ -231,7 +947,7 @@ function getTooltip() {
     
     // Hide the tooltip when clicking elsewhere
     document.addEventListener('click', (e) => {
-      if (!e.target.closest('.harper-tooltip')) {
+      if (!getEventTarget(e).closest('.harper-tooltip')) {
         tooltip.style.display = 'none';
       }
     }, { capture: true, passive: false }); // Cannot be passive as it may need to prevent default behavior
@@ -273,11 +989,12 @@ function getTooltip() {
  * @param {Object} error - The error object with properties start, end, and suggestions.
  */
 /**
- * Show the tooltip with correction suggestions.
+ * Show the tooltip with the issue's kind, message and correction suggestions.
  * This implementation ensures proper positioning and visibility.
  * @param {Event} e - The triggering mouse event.
  * @param {HTMLElement} element - The element containing the error.
- * @param {Object} error - The error object with properties start, end, and suggestions.
+ * @param {Object} error - A serialized lint (start, end, kind, kindPretty, message,
+ *   problemText, suggestions, json) as stored in _harperErrorMap.
  */
 function showTooltip(e, element, error) {
   try {
@@ -291,19 +1008,45 @@ function showTooltip(e, element, error) {
     
     // Clear existing content
     tooltip.innerHTML = '';
+
+    // Apply the light or dark tooltip theme
+    const colors = resolveTooltipTheme(window._harperTheme);
+    tooltip.style.background = colors.background;
+    tooltip.style.color = colors.text;
+    tooltip.style.border = `1px solid ${colors.border}`;
+    
+    // Get the original text and word
+    const originalText = getElementText(element);
+    const originalWord = originalText.slice(error.start, error.end);
     
-    // Add a title to the tooltip
+    // Title: the kind of issue, marked in its underline color
     const title = document.createElement('div');
-    title.textContent = 'Suggestions:';
+    title.textContent = error.kindPretty || error.kind || 'Suggestions';
     title.style.fontWeight = 'bold';
     title.style.marginBottom = '5px';
-    title.style.borderBottom = '1px solid #555';
+    title.style.borderBottom = `2px solid ${getErrorColor(error.kind || '')}`;
     title.style.paddingBottom = '3px';
     tooltip.appendChild(title);
-    
-    // Get the original text and word
-    const originalText = element.matches('[contenteditable="true"]') ? element.innerText : element.value;
-    const originalWord = originalText.slice(error.start, error.end);
+
+    // Why the text was flagged
+    if (error.message) {
+      const message = document.createElement('div');
+      message.textContent = error.message;
+      message.style.fontSize = '13px';
+      message.style.marginBottom = '4px';
+      tooltip.appendChild(message);
+    }
+
+    // The flagged text itself
+    const problemText = error.problemText || originalWord;
+    if (problemText.trim()) {
+      const problem = document.createElement('div');
+      problem.textContent = `“${problemText}”`;
+      problem.style.fontSize = '12px';
+      problem.style.color = colors.muted;
+      problem.style.marginBottom = '6px';
+      tooltip.appendChild(problem);
+    }
     
     // If no suggestions, show a message
     if (!error.suggestions || error.suggestions.length === 0) {
@@ -313,69 +1056,240 @@ function showTooltip(e, element, error) {
       noSuggestions.style.fontStyle = 'italic';
       tooltip.appendChild(noSuggestions);
     } else {
-      // Add each suggestion as a button
-      error.suggestions.forEach(suggestion => {
-        let displayText = suggestion;
-        let replacementText = suggestion;
-        
-        // If suggestion is punctuation, append to the original word
-        if (/^[.,;:!?]+$/.test(suggestion)) {
-          displayText = originalWord + suggestion;
-          replacementText = originalWord + suggestion;
-        }
-        
-        const btn = document.createElement('button');
-        btn.textContent = displayText;
-        btn.style.background = '#444';
-        btn.style.color = '#fff';
-        btn.style.border = 'none';
-        btn.style.borderRadius = '3px';
-        btn.style.margin = '2px 0';
-        btn.style.padding = '6px 10px';
-        btn.style.cursor = 'pointer';
-        btn.style.fontSize = '14px';
-        btn.style.width = '100%';
-        btn.style.textAlign = 'left';
-        
-        // Hover effect
-        btn.addEventListener('mouseover', () => {
-          btn.style.background = '#555';
-        }, { passive: true });
-        btn.addEventListener('mouseout', () => {
-          btn.style.background = '#444';
-        }, { passive: true });
-        
-        // Click handler
-        btn.addEventListener('click', () => {
-          applyTextReplacement(element, error.start, error.end, replacementText);
+      // Add each suggestion as a button, labelled by what it does
+      error.suggestions.forEach((suggestion, index) => {
+        const btn = createTooltipButton(getSuggestionLabel(originalWord, suggestion), () => {
           tooltip.style.display = 'none';
-          processElement(element);
-        }, { passive: true }); // This can be passive as it doesn't prevent default
-        
+          applySuggestion(element, error, index);
+        });
         tooltip.appendChild(btn);
       });
     }
+
+    // Any error can be dismissed for this field
+    if (error.json) {
+      const ignoreBtn = createTooltipButton('Ignore', () => {
+        tooltip.style.display = 'none';
+        ignoreError(element, error);
+      });
+      ignoreBtn.style.marginTop = '6px';
+      ignoreBtn.style.fontStyle = 'italic';
+      tooltip.appendChild(ignoreBtn);
+    }
+
+    // Spelling errors can be added to the personal dictionary
+    if (error.kind === 'Spelling' && originalWord.trim()) {
+      const addBtn = createTooltipButton(`Add “${originalWord}” to dictionary`, () => {
+        tooltip.style.display = 'none';
+        addToDictionary(originalWord);
+      });
+      addBtn.style.fontStyle = 'italic';
+      tooltip.appendChild(addBtn);
+    }
+
+    appendCaseActions(tooltip, element, error);
+
+    if (error.json) {
+      appendRuleActions(tooltip, element, error);
+    }
     
     // Make tooltip visible
     tooltip.style.display = 'flex';
     tooltip.style.flexDirection = 'column';
     
     // Position the tooltip - ensure it's visible within viewport
-    positionTooltip(tooltip, e);
+    positionTooltip(tooltip, e, getFrameOffset(element));
   } catch (e) {
     console.error('Error showing tooltip:', e); // Keep this as console.error - essential error
   }
 }
 
+/**
+ * Add a row of case conversion buttons to the tooltip. They convert the field's selection,
+ * or the flagged text when nothing is selected.
+ * @param {HTMLElement} tooltip - The tooltip element.
+ * @param {HTMLElement} element - The element containing the error.
+ * @param {Object} error - The error shown in the tooltip.
+ */
+function appendCaseActions(tooltip, element, error) {
+  // Capture the selection now: clicking a tooltip button may clear it in contenteditable fields
+  const selection = getSelectionOffsets(element);
+  const range = selection && selection.start !== selection.end
+    ? selection
+    : { start: error.start, end: error.end };
+
+  const row = document.createElement('div');
+  row.style.display = 'flex';
+  row.style.gap = '4px';
+  row.style.marginTop = '6px';
+
+  CASE_CONVERSIONS.forEach(({ mode, label }) => {
+    const btn = createTooltipButton(label, () => {
+      tooltip.style.display = 'none';
+      convertCase(element, mode, range);
+    });
+    btn.style.fontSize = '12px';
+    btn.style.padding = '4px 6px';
+    btn.style.textAlign = 'center';
+    btn.title = `Convert ${selection && selection.start !== selection.end ? 'the selection' : 'this text'} to ${label}`;
+    row.appendChild(btn);
+  });
+  tooltip.appendChild(row);
+}
+
+/**
+ * Add the "Learn more" toggle and the "Disable this rule" shortcut to the tooltip.
+ * @param {HTMLElement} tooltip - The tooltip element.
+ * @param {HTMLElement} element - The element containing the error.
+ * @param {Object} error - The error shown in the tooltip.
+ */
+function appendRuleActions(tooltip, element, error) {
+  const details = document.createElement('div');
+  details.style.display = 'none';
+  details.style.fontSize = '12px';
+  details.style.color = resolveTooltipTheme(window._harperTheme).muted;
+  details.style.padding = '4px 10px';
+  details.style.whiteSpace = 'normal';
+
+  const learnBtn = createTooltipButton('Learn more ▸', async () => {
+    if (details.style.display !== 'none') {
+      details.style.display = 'none';
+      learnBtn.textContent = 'Learn more ▸';
+      return;
+    }
+    details.style.display = 'block';
+    learnBtn.textContent = 'Learn more ▾';
+    details.textContent = 'Looking up rule…';
+    const info = await identifyErrorRule(element, error);
+    details.innerHTML = '';
+    if (!info) {
+      details.textContent = 'No description available for this rule.';
+      return;
+    }
+    const ruleName = document.createElement('div');
+    ruleName.textContent = info.rule;
+    ruleName.style.fontWeight = 'bold';
+    ruleName.style.marginBottom = '2px';
+    const description = document.createElement('div');
+    description.textContent = info.description || 'No description available for this rule.';
+    details.appendChild(ruleName);
+    details.appendChild(description);
+  });
+  learnBtn.style.marginTop = '6px';
+  learnBtn.style.fontSize = '12px';
+
+  const disableBtn = createTooltipButton('Disable this rule', async () => {
+    const info = await identifyErrorRule(element, error);
+    if (!info) {
+      disableBtn.textContent = 'Could not determine the rule';
+      return;
+    }
+    tooltip.style.display = 'none';
+    try {
+      // The engine saves the config and asks every tab to re-check
+      const response = await chrome.runtime.sendMessage({ type: 'harper-disable-rule', rule: info.rule });
+      if (!response?.ok) throw new Error(response?.error);
+      debugLog(`🚫 Disabled rule ${info.rule}`);
+    } catch (e) {
+      console.error('Failed to disable rule:', e); // Keep this as console.error - essential error
+    }
+  });
+  disableBtn.style.fontSize = '12px';
+
+  tooltip.appendChild(learnBtn);
+  tooltip.appendChild(details);
+  tooltip.appendChild(disableBtn);
+}
+
+/**
+ * Ask the engine which rule produced an error. The answer is kept on the error object.
+ * @param {HTMLElement} element - The element containing the error.
+ * @param {Object} error - The error (from _harperErrorMap).
+ * @returns {Promise<Object|null>} - { rule, description } or null.
+ */
+function identifyErrorRule(element, error) {
+  if (!error._ruleInfo) {
+    // Lints are produced per paragraph, so Harper needs the paragraph as the source text
+    const chunk = findChunkAt(getElementText(element), error.start, getElementLanguage(element));
+    error._ruleInfo = !chunk ? Promise.resolve(null) : chrome.runtime.sendMessage({
+      type: 'harper-identify-rule',
+      text: chunk.text,
+      lint: error.json
+    }).then((response) => {
+      if (!response?.ok) throw new Error(response?.error);
+      return response.rule ? { rule: response.rule, description: response.description } : null;
+    }).catch((e) => {
+      console.error('Failed to identify rule:', e); // Keep this as console.error - essential error
+      return null;
+    });
+  }
+  return error._ruleInfo;
+}
+
+/**
+ * Create a button styled for the tooltip.
+ * @param {string} label - The button text.
+ * @param {Function} onClick - Called when the button is clicked.
+ * @returns {HTMLElement} - The button element.
+ */
+function createTooltipButton(label, onClick) {
+  const colors = resolveTooltipTheme(window._harperTheme);
+  const btn = document.createElement('button');
+  btn.textContent = label;
+  btn.style.background = colors.button;
+  btn.style.color = colors.text;
+  btn.style.border = 'none';
+  btn.style.borderRadius = '3px';
+  btn.style.margin = '2px 0';
+  btn.style.padding = '6px 10px';
+  btn.style.cursor = 'pointer';
+  btn.style.fontSize = '14px';
+  btn.style.width = '100%';
+  btn.style.textAlign = 'left';
+  
+  // Hover effect
+  btn.addEventListener('mouseover', () => {
+    btn.style.background = colors.buttonHover;
+  }, { passive: true });
+  btn.addEventListener('mouseout', () => {
+    btn.style.background = colors.button;
+  }, { passive: true });
+  
+  // Click handler
+  btn.addEventListener('click', onClick, { passive: true }); // This can be passive as it doesn't prevent default
+  
+  return btn;
+}
+
+/**
+ * Add a word to the personal dictionary kept by the shared engine.
+ * The engine persists it and asks every tab to re-lint, so the underline disappears everywhere.
+ * @param {string} word - The word to add.
+ */
+async function addToDictionary(word) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'harper-add-words', words: [word] });
+    if (!response?.ok) {
+      console.error('Failed to add word to dictionary:', response?.error); // Keep this as console.error - essential error
+      return;
+    }
+    debugLog(`📖 Added "${word}" to the personal dictionary`);
+  } catch (e) {
+    console.error('Failed to add word to dictionary:', e); // Keep this as console.error - essential error
+  }
+}
+
 /**
  * Position the tooltip to ensure it's visible within the viewport.
  * @param {HTMLElement} tooltip - The tooltip element.
  * @param {Event} e - The triggering mouse event.
+ * @param {{x: number, y: number}} [frameOffset] - Where the event's frame sits in this window
+ *   (for fields in same-origin iframes, see getFrameOffset).
  */
-function positionTooltip(tooltip, e) {
+function positionTooltip(tooltip, e, frameOffset = { x: 0, y: 0 }) {
   // Default position at mouse pointer
-  let left = e.clientX + 10;
-  let top = e.clientY + 10;
+  let left = e.clientX + frameOffset.x + 10;
+  let top = e.clientY + frameOffset.y + 10;
   
   // Get tooltip dimensions after it's visible
   const rect = tooltip.getBoundingClientRect();
@@ -398,8 +1312,211 @@ function positionTooltip(tooltip, e) {
   tooltip.style.top = `${top}px`;
 }
 
+// Elements that have content even without text, so they are never cleaned up as empty
+const NON_TEXT_CONTENT_SELECTOR = 'img, br, hr, input, video, audio, iframe, canvas, svg, object, embed';
+
+/**
+ * Remove the elements a replacement left empty, walking up from where it ended.
+ * Range.deleteContents() keeps partially selected elements, e.g. the <b> a fix
+ * reached into, even when nothing is left in them.
+ * @param {HTMLElement} element - The contenteditable element.
+ * @param {Node} node - The end container of the replaced range.
+ * @param {Node} keep - The node the replacement was inserted into.
+ */
+function removeEmptyAncestors(element, node, keep) {
+  while (node && node !== element && !node.contains(keep)) {
+    const empty = node.nodeType === Node.TEXT_NODE
+      ? node.nodeValue === ''
+      : node.nodeType === Node.ELEMENT_NODE &&
+        node.textContent === '' &&
+        !node.matches(NON_TEXT_CONTENT_SELECTOR) &&
+        !node.querySelector(NON_TEXT_CONTENT_SELECTOR);
+    if (!empty) return;
+    const parent = node.parentNode;
+    node.remove();
+    node = parent;
+  }
+}
+
+/**
+ * Replace a span of a contenteditable element's text through a DOM Range, so the
+ * surrounding markup (bold, links, lists, mentions, images) is left alone. The new
+ * text goes where the span starts and takes that position's formatting; a span that
+ * crosses nodes is removed from all of them. A caret inside the span ends up after
+ * the new text (applyTextReplacement restores carets outside it).
+ * @param {HTMLElement} element - The contenteditable element.
+ * @param {number} start - Start offset in the element's innerText.
+ * @param {number} end - End offset in the element's innerText.
+ * @param {string} replacementText - The text to insert.
+ * @returns {boolean} - False if the span couldn't be mapped to the DOM.
+ */
+function replaceContentEditableText(element, start, end, replacementText) {
+  const caret = isFocused(element) ? getCaretPositionContentEditable(element) : null;
+  const range = createTextRange(element, start, end);
+  if (!range) {
+    debugWarn(`Could not map replacement ${start}-${end} to the DOM`);
+    return false;
+  }
+
+  // Read before deleting: when the span crosses elements, the range collapses
+  // outside the element it started in
+  let textNode = range.startContainer;
+  let textOffset = range.startOffset;
+  const endContainer = range.endContainer;
+  range.deleteContents();
+
+  // Insert into the text node the span started in, or a new one at the start boundary
+  if (textNode.nodeType === Node.TEXT_NODE && textNode.isConnected) {
+    textNode.insertData(textOffset, replacementText);
+  } else {
+    textNode = element.ownerDocument.createTextNode(replacementText);
+    textOffset = 0;
+    range.insertNode(textNode);
+  }
+  removeEmptyAncestors(element, endContainer, textNode);
+  if (!replacementText) {
+    // Removing text (e.g. a repeated word) can empty the node it started in as well
+    removeEmptyAncestors(element, textNode, null);
+  }
+
+  if (caret !== null && caret > start && caret <= end && textNode.isConnected) {
+    const caretRange = element.ownerDocument.createRange();
+    caretRange.setStart(textNode, textOffset + replacementText.length);
+    caretRange.collapse(true);
+    const selection = getElementSelection(element);
+    selection.removeAllRanges();
+    selection.addRange(caretRange);
+  }
+  return true;
+}
+
+/**
+ * Get the caret's offset in a field's text.
+ * @param {HTMLElement} element - The field.
+ * @returns {number} - The caret offset.
+ */
+function getCaretOffset(element) {
+  return isContentEditableField(element) ? getCaretPositionContentEditable(element) : element.selectionEnd ?? 0;
+}
+
+/**
+ * Put the caret at an offset in a field's text.
+ * @param {HTMLElement} element - The field.
+ * @param {number} offset - The caret offset.
+ */
+function setCaretOffset(element, offset) {
+  if (!isContentEditableField(element)) {
+    element.setSelectionRange?.(offset, offset);
+    return;
+  }
+  const range = createTextRange(element, offset, offset);
+  const selection = getElementSelection(element);
+  if (range && selection) {
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+}
+
+/**
+ * Replace text through the browser's own editing command, as if the user had typed it.
+ * The change goes on the undo stack and fires trusted beforeinput and input events, which
+ * rich-text editors and React, Vue and Angular bindings handle like any other edit.
+ * The field has to be focused for this, so it is focused if needed.
+ * @param {HTMLElement} element - The field.
+ * @param {number} start - The start index of the text to replace.
+ * @param {number} end - The end index of the text to replace.
+ * @param {string} replacementText - The text to insert.
+ * @returns {boolean} - False if the command isn't available here (nothing was changed).
+ */
+function replaceWithEditCommand(element, start, end, replacementText) {
+  const doc = element.ownerDocument;
+  if (typeof doc.execCommand !== 'function') return false;
+
+  if (!isFocused(element)) element.focus({ preventScroll: true });
+  if (!isFocused(element)) return false;
+
+  // Select the text to replace; the command acts on the selection
+  if (isContentEditableField(element)) {
+    const range = createTextRange(element, start, end);
+    const selection = getElementSelection(element);
+    if (!range || !selection) return false;
+    selection.removeAllRanges();
+    selection.addRange(range);
+  } else {
+    try {
+      element.setSelectionRange(start, end);
+    } catch (e) {
+      // Types like email and number don't have a selection
+      return false;
+    }
+  }
+
+  try {
+    return replacementText
+      ? doc.execCommand('insertText', false, replacementText)
+      : doc.execCommand('delete', false);
+  } catch (e) {
+    debugWarn('Editing command failed:', e);
+    return false;
+  }
+}
+
+/**
+ * Dispatch the beforeinput or input event of a replacement made without an editing command.
+ * @param {HTMLElement} element - The field.
+ * @param {string} type - 'beforeinput' or 'input'.
+ * @param {string} replacementText - The inserted text.
+ * @returns {boolean} - False if a beforeinput listener cancelled the replacement.
+ */
+function dispatchReplacementEvent(element, type, replacementText) {
+  const init = {
+    bubbles: true,
+    cancelable: type === 'beforeinput',
+    inputType: 'insertReplacementText',
+    data: replacementText
+  };
+  // In rich text, replacement text is carried in dataTransfer instead of data
+  if (isContentEditableField(element) && typeof DataTransfer === 'function') {
+    init.data = null;
+    init.dataTransfer = new DataTransfer();
+    init.dataTransfer.setData('text/plain', replacementText);
+  }
+  return element.dispatchEvent(new InputEvent(type, init));
+}
+
+/**
+ * Replace text directly, for where editing commands aren't available. The input event
+ * still lets frameworks pick up the change, but the browser can't undo it.
+ * @param {HTMLElement} element - The field.
+ * @param {number} start - The start index of the text to replace.
+ * @param {number} end - The end index of the text to replace.
+ * @param {string} replacementText - The text to insert.
+ */
+function replaceWithInputEvents(element, start, end, replacementText) {
+  if (!dispatchReplacementEvent(element, 'beforeinput', replacementText)) {
+    debugLog('⏭️ Replacement cancelled by the page');
+    return;
+  }
+
+  if (isContentEditableField(element)) {
+    if (!replaceContentEditableText(element, start, end, replacementText)) return;
+  } else {
+    try {
+      element.setRangeText(replacementText, start, end, 'end');
+    } catch (e) {
+      // Types like email and number don't support setRangeText. Setting the value from the
+      // content script's isolated world doesn't touch React's value tracker, so the
+      // input event below is still seen as a change.
+      element.value = element.value.slice(0, start) + replacementText + element.value.slice(end);
+    }
+  }
+  dispatchReplacementEvent(element, 'input', replacementText);
+}
+
 /**
- * Apply a text replacement to an element.
+ * Apply a text replacement to an element. Editing commands are used where possible so the
+ * change can be undone and the page hears about it; otherwise the text is replaced directly.
+ * A caret inside the replaced text ends up after the new text; one outside it keeps its place.
  * @param {HTMLElement} element - The element to modify.
  * @param {number} start - The start index of the text to replace.
  * @param {number} end - The end index of the text to replace.
@@ -407,83 +1524,28 @@ function positionTooltip(tooltip, e) {
  */
 function applyTextReplacement(element, start, end, replacementText) {
   try {
-    if (element.matches('[contenteditable="true"]')) {
-      const oldText = element.innerText;
-      if (isNaN(start) || isNaN(end)) {
-         console.error("Invalid start/end indices for replacement:", start, end); // Keep this as console.error - essential error
-         return; // Don't proceed if indices are invalid
-      }
-      
-      const newText = oldText.slice(0, start) + replacementText + oldText.slice(end);
-      element.innerText = newText;
-
-      // --- Cursor Positioning for contenteditable ---
-      // Place cursor reliably after the replacement
-      if (document.activeElement === element) {
-        const newPos = start + replacementText.length;
-        const selection = window.getSelection();
-        const range = document.createRange();
-        
-        // Find the text node and offset corresponding to newPos
-        let charCount = 0;
-        let targetNode = null;
-        let targetOffset = 0;
-        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
-        while(walker.nextNode()) {
-          const node = walker.currentNode;
-          const nextCharCount = charCount + node.nodeValue.length;
-          if (newPos <= nextCharCount) {
-            targetNode = node;
-            targetOffset = newPos - charCount;
-            break; // Found the node
-          }
-          charCount = nextCharCount;
-        }
+    if (isNaN(start) || isNaN(end)) {
+       console.error("Invalid start/end indices for replacement:", start, end); // Keep this as console.error - essential error
+       return; // Don't proceed if indices are invalid
+    }
 
-        // If we found a node, set the cursor
-        if (targetNode) {
-          try {
-            range.setStart(targetNode, targetOffset);
-            range.collapse(true); // Collapse the range to a single point
-            selection.removeAllRanges(); // Remove existing selections
-            selection.addRange(range); // Add the new cursor position
-          } catch (err) {
-             console.error("Error setting cursor position in contenteditable:", err); // Keep this as console.error - essential error
-          }
-        } else {
-           console.warn("Could not find target node for cursor positioning in contenteditable."); // Keep this as console.warn - important warning
-           // Fallback: try setting cursor at the end of the element
-           try {
-             range.selectNodeContents(element);
-             range.collapse(false); // Collapse to the end
-             selection.removeAllRanges();
-             selection.addRange(range);
-           } catch (fallbackErr) {
-             console.error("Fallback cursor positioning failed:", fallbackErr); // Keep this as console.error - essential error
-           }
-        }
-      }
-    } else { // Input or Textarea
-      const oldText = element.value;
-      if (isNaN(start) || isNaN(end)) {
-         console.error("Invalid start/end indices for replacement:", start, end); // Keep this as console.error - essential error
-         return; // Don't proceed if indices are invalid
-      }
-      
-      const newText = oldText.slice(0, start) + replacementText + oldText.slice(end);
-      element.value = newText;
-        
-      // If element is focused, update selection
-      if (document.activeElement === element) {
-        const newPos = start + replacementText.length;
-        // Use try-catch for robustness, though less likely to fail here
-        try {
-          element.selectionStart = newPos;
-          element.selectionEnd = newPos;
-        } catch (err) {
-           console.error("Error setting cursor position in input/textarea:", err); // Keep this as console.error - essential error
-        }
+    const caret = isFocused(element) ? getCaretOffset(element) : null;
+
+    // Our input listener ignores the events of this edit; callers re-check the field themselves
+    element._harperReplacing = true;
+    try {
+      if (!replaceWithEditCommand(element, start, end, replacementText)) {
+        debugLog('Editing command unavailable, replacing text directly');
+        replaceWithInputEvents(element, start, end, replacementText);
       }
+    } finally {
+      delete element._harperReplacing;
+    }
+
+    // Editing commands leave the caret after the new text; put back a caret that was elsewhere
+    if (caret !== null && (caret <= start || caret > end)) {
+      const shift = replacementText.length - (end - start);
+      setCaretOffset(element, caret > end ? caret + shift : caret);
     }
   } catch (e) {
     console.error('Error applying text replacement:', e); // Keep this as console.error - essential error
@@ -491,162 +1553,653 @@ function applyTextReplacement(element, start, end, replacementText) {
 }
 
 // ============================================================================
-// Element Processing and Overlay Functions
+// Ignored Lints
 // ============================================================================
 
 /**
- * Process an element by analyzing its text, rendering error highlights,
- * and saving error details for later use (e.g., for tooltips).
- * @param {HTMLElement} element - The element to process.
- * @param {boolean} fromSuggestion - Whether this processing is triggered from a suggestion click.
+ * Get a key that identifies a field across page loads: its id, name or label,
+ * falling back to its position among the page's fields of the same tag.
+ * @param {HTMLElement} element - The target element.
+ * @returns {string} - The field key.
  */
-async function processElement(element) {
-  let text = element.matches('[contenteditable="true"]')
-    ? (element.innerText || element.textContent || '')
-    : (element.value || '');
-  
-  const errors = await analyzeText(text);
-  
-  // Store error details for later use (e.g., for tooltips)
-  window._harperErrorMap.set(
-    element,
-    errors.map(e => ({
-      start: e.span().start,
-      end: e.span().end,
-      suggestions: e.suggestions().map(s => s.get_replacement_text())
-    }))
-  );
-  
-  // Render errors using our new approach that doesn't affect cursor position
-  renderErrors(element, text, errors);
+function getFieldKey(element) {
+  const tag = element.tagName.toLowerCase();
+  if (element.id) return `${tag}#${element.id}`;
+  const name = element.getAttribute('name');
+  if (name) return `${tag}[name=${name}]`;
+  const label = element.getAttribute('aria-label') || element.getAttribute('placeholder');
+  if (label) return `${tag}[label=${label}]`;
+  const index = [...element.ownerDocument.getElementsByTagName(tag)].indexOf(element);
+  return `${tag}:${index}`;
 }
+
 /**
- * Ensure that an element has an overlay for rendering error highlights.
- * This works for both contenteditable elements and inputs/textareas.
- * @param {HTMLElement} element - The element to create an overlay for.
+ * Get the scope under which a field's ignored lints are stored.
+ * @param {HTMLElement} element - The target element.
+ * @returns {Object} - { site, field }.
  */
-function ensureOverlay(element) {
-  // If overlay already exists, just return
-  if (element._harperOverlay) return;
-  
+function getIgnoreScope(element) {
+  // Fields in embedded frames are told apart by the frame's address
+  const field = window === window.top
+    ? getFieldKey(element)
+    : `${location.host}${location.pathname}|${getFieldKey(element)}`;
+  return { site: getSiteHostname(), field };
+}
+
+/**
+ * Ignore a lint in a field. The engine remembers it for this site and field,
+ * so the same issue stays dismissed after a reload.
+ * @param {HTMLElement} element - The element containing the error.
+ * @param {Object} error - The error (from _harperErrorMap) to ignore.
+ */
+async function ignoreError(element, error) {
+  if (!error.json) return;
+  // Lints are produced per paragraph, so Harper needs the paragraph as the source text
+  const chunk = findChunkAt(getElementText(element), error.start, getElementLanguage(element));
+  if (!chunk) return;
+
+  const scope = getIgnoreScope(element);
   try {
-    const overlay = document.createElement('div');
-    overlay.className = 'harper-overlay';
-    overlay.style.position = 'absolute';
-    overlay.style.pointerEvents = 'none'; // Don't interfere with user interaction
-    overlay.style.whiteSpace = 'pre-wrap';
-    overlay.style.wordWrap = 'break-word';
-    overlay.style.zIndex = '9999';
-    overlay.style.overflow = 'hidden';
-    overlay.style.background = 'transparent';
-    overlay.style.color = 'transparent'; // Text is transparent, only decorations are visible
-    
-    // Store reference to the overlay
-    element._harperOverlay = overlay;
-    
-    // Ensure parent has relative positioning for proper overlay positioning
-    const parent = element.parentNode;
-    if (parent) {
-      const parentPosition = window.getComputedStyle(parent).position;
-      if (parentPosition === 'static') {
-        parent.style.position = 'relative';
-      }
-      parent.appendChild(overlay);
-    } else {
-      // Fallback if no parent
-      document.body.appendChild(overlay);
-    }
-    
-    // Initial sync
-    syncOverlay(element);
-    // Set up event listeners for keeping the overlay in sync
-    element.addEventListener('input', () => syncOverlay(element), { passive: true });
-    element.addEventListener('scroll', () => syncOverlay(element), { passive: true });
-    element.addEventListener('focus', () => syncOverlay(element), { passive: true });
-    element.addEventListener('blur', () => syncOverlay(element), { passive: true });
-    window.addEventListener('resize', () => syncOverlay(element), { passive: true });
-    
-    
-    // For contenteditable elements, we need additional sync on selection change
-    if (element.matches('[contenteditable="true"]')) {
-      document.addEventListener('selectionchange', () => {
-        if (document.activeElement === element) {
-          syncOverlay(element);
-        }
-      }, { passive: true });
+    const response = await chrome.runtime.sendMessage({
+      type: 'harper-ignore-lint',
+      scope: scope,
+      text: chunk.text,
+      lint: error.json
+    });
+    if (!response?.ok) {
+      console.error('Failed to ignore lint:', response?.error); // Keep this as console.error - essential error
+      return;
     }
+    debugLog(`🙈 Ignored lint at ${error.start}-${error.end} in ${scope.field}`);
+    lintCacheClear(getLintCacheNamespace(getElementLanguage(element), scope, window._harperDetectEnglish));
+    processElement(element);
   } catch (e) {
-    console.error('Error creating overlay:', e); // Keep this as console.error - essential error
+    console.error('Failed to ignore lint:', e); // Keep this as console.error - essential error
   }
 }
 
+// ============================================================================
+// Applying Suggestions
+// ============================================================================
+
 /**
- * Synchronize the overlay with its target element.
- * @param {HTMLElement} element - The element with an overlay.
+ * Describe a suggestion for the tooltip according to its kind.
+ * @param {string} problemText - The flagged text.
+ * @param {Object} suggestion - A serialized suggestion ({ text, kind }).
+ * @returns {string} - The button label.
  */
-function syncOverlay(element) {
-  const overlay = element._harperOverlay;
-  if (!overlay) return;
-  
-  try {
-    const rect = element.getBoundingClientRect();
-    const parentRect = element.parentNode.getBoundingClientRect();
-    
-    // Position relative to parent
-    overlay.style.left = `${element.offsetLeft}px`;
-    overlay.style.top = `${element.offsetTop}px`;
-    overlay.style.width = `${element.offsetWidth}px`;
-    overlay.style.height = `${element.offsetHeight}px`;
-    
-    // Copy relevant styles
-    const computed = window.getComputedStyle(element);
-    overlay.style.font = computed.font;
-    overlay.style.padding = computed.padding;
-    overlay.style.boxSizing = computed.boxSizing;
-    overlay.style.lineHeight = computed.lineHeight;
-    overlay.style.textAlign = computed.textAlign;
-    overlay.style.direction = computed.direction;
-    overlay.style.writingMode = computed.writingMode;
-    
-    // Handle scrolling
-    overlay.scrollTop = element.scrollTop;
-    overlay.scrollLeft = element.scrollLeft;
-    
-    // Debug border if enabled
-    if (window._showDebugBorder === false) {
-      overlay.style.border = 'none';
-    } else {
-      overlay.style.border = computed.border;
-    }
-  } catch (e) {
-    console.error('Error syncing overlay:', e); // Keep this as console.error - essential error
+function getSuggestionLabel(problemText, suggestion) {
+  switch (suggestion.kind) {
+    case 'Remove':
+      return `Remove “${problemText}”`;
+    case 'InsertAfter':
+      return `Insert “${suggestion.text}” after`;
+    default:
+      return suggestion.text;
   }
 }
 
 /**
- * Attach a contextmenu (right-click) event listener to the element.
- * If the caret is over an error, show the tooltip.
- * This implementation uses multiple approaches to ensure reliability.
- * @param {HTMLElement} element - The element to attach the listener to.
+ * Work out the text a suggestion puts in place of the flagged span, without the engine.
+ * @param {string} problemText - The flagged text.
+ * @param {Object} suggestion - A serialized suggestion ({ text, kind }).
+ * @returns {string} - The replacement for the span.
  */
-function attachContextMenu(element) {
-  // Store a reference to the element for use in the global handler
-  if (!element._harperContextMenuAttached) {
-    element._harperContextMenuAttached = true;
-    
-    // Add the element to a global registry for the document-level handler
-    if (!window._harperElements) {
-      window._harperElements = new Set();
-    }
-    window._harperElements.add(element);
-    
-    // Primary approach: Direct contextmenu listener with capture
-    element.addEventListener(
+function getSuggestionReplacement(problemText, suggestion) {
+  switch (suggestion.kind) {
+    case 'Remove':
+      return '';
+    case 'InsertAfter':
+      return problemText + suggestion.text;
+    default:
+      return suggestion.text;
+  }
+}
+
+/**
+ * Apply a suggestion to an element with Harper's apply_suggestion, which also logs it
+ * to the writing statistics. The engine returns the corrected paragraph; only the part
+ * that actually changed is written back to the element.
+ * Falls back to applying the suggestion locally if the engine cannot be used.
+ * @param {HTMLElement} element - The element containing the error.
+ * @param {Object} error - The error (from _harperErrorMap) being fixed.
+ * @param {number} suggestionIndex - Index of the chosen suggestion.
+ */
+async function applySuggestion(element, error, suggestionIndex) {
+  const suggestion = error.suggestions[suggestionIndex];
+  if (!suggestion) return;
+
+  const text = getElementText(element);
+  // Lints are produced per paragraph, so Harper needs the paragraph as the source text
+  const chunk = findChunkAt(text, error.start, getElementLanguage(element));
+
+  let applied = false;
+  if (error.json && chunk) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'harper-apply-suggestion',
+        text: chunk.text,
+        lint: error.json,
+        suggestionIndex: suggestionIndex
+      });
+      if (!response?.ok) throw new Error(response?.error);
+
+      if (getElementText(element) !== text) {
+        // The user kept typing while we waited; the error may have moved, so just re-check
+        debugLog('⏭️ Text changed before the suggestion could be applied');
+        processElement(element);
+        return;
+      }
+
+      const change = diffText(chunk.text, response.text);
+      applyTextReplacement(
+        element,
+        chunk.offset + change.start,
+        chunk.offset + change.end,
+        change.replacement
+      );
+      applied = true;
+    } catch (e) {
+      debugWarn('Engine could not apply suggestion, applying locally:', e);
+    }
+  }
+
+  if (!applied) {
+    const problemText = text.slice(error.start, error.end);
+    applyTextReplacement(element, error.start, error.end, getSuggestionReplacement(problemText, suggestion));
+  }
+  processElement(element);
+}
+
+/**
+ * Find the single changed region between two strings.
+ * @param {string} before - The original text.
+ * @param {string} after - The changed text.
+ * @returns {{start: number, end: number, replacement: string}} - Replacing before[start, end)
+ *   with replacement turns before into after.
+ */
+function diffText(before, after) {
+  let prefix = 0;
+  const maxPrefix = Math.min(before.length, after.length);
+  while (prefix < maxPrefix && before[prefix] === after[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  const maxSuffix = Math.min(before.length, after.length) - prefix;
+  while (
+    suffix < maxSuffix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  return {
+    start: prefix,
+    end: before.length - suffix,
+    replacement: after.slice(prefix, after.length - suffix)
+  };
+}
+
+/**
+ * Let the engine log a suggestion that was applied locally (e.g. by auto-correct)
+ * to the writing statistics. Must be called before the replacement is made,
+ * while the paragraph still holds the error.
+ * @param {HTMLElement} element - The element containing the error.
+ * @param {Object} error - The error (from _harperErrorMap) being fixed.
+ * @param {number} suggestionIndex - Index of the chosen suggestion.
+ */
+function recordAppliedSuggestion(element, error, suggestionIndex) {
+  if (!error.json) return;
+  const chunk = findChunkAt(getElementText(element), error.start, getElementLanguage(element));
+  if (!chunk) return;
+
+  chrome.runtime.sendMessage({
+    type: 'harper-apply-suggestion',
+    text: chunk.text,
+    lint: error.json,
+    suggestionIndex: suggestionIndex
+  }).catch((e) => {
+    debugWarn('Failed to record applied suggestion:', e);
+  });
+}
+
+// ============================================================================
+// Case Conversion
+// ============================================================================
+
+// Available case conversions, in the order they are offered in the tooltip
+const CASE_CONVERSIONS = [
+  { mode: 'title', label: 'Title Case' },
+  { mode: 'sentence', label: 'Sentence case' },
+  { mode: 'upper', label: 'UPPER' },
+  { mode: 'lower', label: 'lower' }
+];
+
+/**
+ * Get the selected range of an input, textarea or contenteditable element as text offsets.
+ * @param {HTMLElement} element - The element.
+ * @returns {{start: number, end: number}|null} - The selection, or null if it is not inside the element.
+ */
+function getSelectionOffsets(element) {
+  if (!isContentEditableField(element)) {
+    if (typeof element.selectionStart !== 'number') return null;
+    return { start: element.selectionStart, end: element.selectionEnd };
+  }
+
+  const selection = getElementSelection(element);
+  if (!selection || selection.rangeCount === 0) return null;
+  const range = selection.getRangeAt(0);
+  if (!element.contains(range.startContainer) || !element.contains(range.endContainer)) return null;
+
+  return {
+    start: getTextOffset(element, range.startContainer, range.startOffset),
+    end: getTextOffset(element, range.endContainer, range.endOffset)
+  };
+}
+
+// Abbreviations whose period doesn't end a sentence (matched at the end of the text before it)
+const SENTENCE_CASE_ABBREVIATIONS = /(?:^|[^\p{L}.])(?:e\.g|i\.e|a\.i|etc|vs|approx|cf|mr|mrs|ms|dr|prof)$/iu;
+
+/**
+ * Convert text to sentence case: lower case, with the first letter of each sentence
+ * and the pronoun "I" capitalized. Words written in capitals (acronyms such as API)
+ * are kept, unless the whole text is in capitals.
+ * @param {string} text - The text to convert.
+ * @returns {string} - The converted text.
+ */
+function toSentenceCase(text) {
+  const keepCapitals = /\p{Ll}/u.test(text);
+  return text
+    .replace(/\p{L}+/gu, word =>
+      keepCapitals && word.length > 1 && word === word.toUpperCase() ? word : word.toLowerCase()
+    )
+    .replace(/(^|[.!?]\s+)(\p{L})/gu, (match, boundary, letter, offset, string) => {
+      // "e.g. this" and "Mr. smith" continue the sentence
+      if (boundary.startsWith('.') && SENTENCE_CASE_ABBREVIATIONS.test(string.slice(0, offset))) return match;
+      return boundary + letter.toUpperCase();
+    })
+    // The pronoun, but not the i of abbreviations like i.e. or a.i.
+    .replace(/(?<!\w\.)\bi\b(?!\.\w)/g, 'I');
+}
+
+/**
+ * Convert text to the given case. Title case comes from Harper, which knows
+ * which short words stay lower case.
+ * @param {string} text - The text to convert.
+ * @param {string} mode - 'title', 'sentence', 'upper' or 'lower'.
+ * @returns {Promise<string>} - The converted text.
+ */
+async function toCase(text, mode) {
+  switch (mode) {
+    case 'title': {
+      const response = await chrome.runtime.sendMessage({ type: 'harper-title-case', text });
+      if (!response?.ok) throw new Error(response?.error || 'Title case conversion failed');
+      return response.text;
+    }
+    case 'sentence':
+      return toSentenceCase(text);
+    case 'upper':
+      return text.toUpperCase();
+    case 'lower':
+      return text.toLowerCase();
+    default:
+      throw new Error(`Unknown case conversion: ${mode}`);
+  }
+}
+
+/**
+ * Convert the case of part of an element's text and re-check the element.
+ * @param {HTMLElement} element - The element to modify.
+ * @param {string} mode - 'title', 'sentence', 'upper' or 'lower'.
+ * @param {{start: number, end: number}} [range] - The text to convert; defaults to the current selection.
+ */
+async function convertCase(element, mode, range = getSelectionOffsets(element)) {
+  if (!range || range.start === range.end) {
+    debugLog('No text selected for case conversion');
+    return;
+  }
+
+  try {
+    const text = getElementText(element);
+    const original = text.slice(range.start, range.end);
+    const converted = await toCase(original, mode);
+
+    if (getElementText(element) !== text) {
+      debugLog('⏭️ Text changed before the case conversion finished');
+      return;
+    }
+    if (converted === original) return;
+
+    applyTextReplacement(element, range.start, range.end, converted);
+
+    // Keep the converted text selected so conversions can be chained
+    if (isFocused(element)) {
+      if (typeof element.setSelectionRange === 'function') {
+        element.setSelectionRange(range.start, range.start + converted.length);
+      } else {
+        const selection = getElementSelection(element);
+        const convertedRange = createTextRange(element, range.start, range.start + converted.length);
+        if (selection && convertedRange) {
+          selection.removeAllRanges();
+          selection.addRange(convertedRange);
+        }
+      }
+    }
+    processElement(element);
+  } catch (e) {
+    console.error('Error converting case:', e); // Keep this as console.error - essential error
+  }
+}
+
+// ============================================================================
+// Element Processing and Overlay Functions
+// ============================================================================
+
+/**
+ * Process an element by analyzing its text, rendering error highlights,
+ * and saving error details for later use (e.g., for tooltips).
+ * @param {HTMLElement} element - The element to process.
+ * @param {boolean} fromSuggestion - Whether this processing is triggered from a suggestion click.
+ */
+async function processElement(element) {
+  // A debounced lint can fire after the field was removed
+  if (!element.isConnected) return;
+  let text = getElementText(element);
+
+  // Every call gets a new version; results for older versions are discarded
+  // so a slow, outdated lint can never paint over a newer one.
+  const version = (element._harperLintVersion || 0) + 1;
+  element._harperLintVersion = version;
+
+  const scope = getIgnoreScope(element);
+  const errors = await analyzeText(text, {
+    key: getElementId(element),
+    version,
+    language: getElementLanguage(element),
+    scope
+  });
+
+  if (errors === null || version !== element._harperLintVersion || !element._harperLifecycle) {
+    debugLog(`⏭️ Discarding stale lint result (version ${version}, latest ${element._harperLintVersion})`);
+    return;
+  }
+  if (getElementText(element) !== text) {
+    // The text changed while we were waiting; the pending input handler will lint it again
+    debugLog('⏭️ Discarding lint result for outdated text');
+    return;
+  }
+  
+  // Store error details for later use (e.g., for tooltips)
+  window._harperErrorMap.set(element, errors);
+  reportErrorCount();
+  recordFoundErrors(errors, scope);
+  
+  // Render errors using our new approach that doesn't affect cursor position
+  renderErrors(element, text, errors);
+}
+
+/**
+ * Count the errors a field shows towards the dashboard's "found" statistics. Sent after
+ * masking and ignore patterns, so only issues the user actually sees are counted;
+ * the background counts each distinct issue once per day.
+ * @param {Array} errors - The field's errors (see analyzeText).
+ * @param {Object} scope - The field's ignore scope (see getIgnoreScope).
+ */
+function recordFoundErrors(errors, scope) {
+  if (errors.length === 0) return;
+  chrome.runtime.sendMessage({
+    type: 'harper-record-found',
+    scope: scope,
+    lints: errors.map(({ kind, problemText, message }) => ({ kind, problemText, message }))
+  }).catch((e) => {
+    debugWarn('Failed to record found issues:', e);
+  });
+}
+
+/**
+ * Get the current text of an input, textarea or contenteditable element.
+ * @param {HTMLElement} element - The target element.
+ * @returns {string} - The element's text.
+ */
+function getElementText(element) {
+  return isContentEditableField(element)
+    ? (element.innerText || element.textContent || '')
+    : (element.value || '');
+}
+
+/**
+ * Ensure that an element has an overlay for rendering error highlights.
+ * This works for both contenteditable elements and inputs/textareas.
+ * @param {HTMLElement} element - The element to create an overlay for.
+ */
+function ensureOverlay(element) {
+  // If overlay already exists, just return
+  if (element._harperOverlay) return;
+  // Listeners are removed when the field leaves the DOM (see detachElement)
+  const signal = getLifecycleSignal(element);
+  
+  try {
+    const overlay = document.createElement('div');
+    overlay.className = 'harper-overlay';
+    overlay.style.position = 'absolute';
+    overlay.style.pointerEvents = 'none'; // Don't interfere with user interaction
+    overlay.style.whiteSpace = 'pre-wrap';
+    overlay.style.overflowWrap = 'break-word';
+    overlay.style.zIndex = '9999';
+    overlay.style.overflow = 'hidden';
+    overlay.style.background = 'transparent';
+    overlay.style.color = 'transparent'; // Text is transparent, only decorations are visible
+    
+    // Store reference to the overlay
+    element._harperOverlay = overlay;
+    if (element._harperSuspended) overlay.style.display = 'none';
+    
+    // Ensure parent has relative positioning for proper overlay positioning.
+    // The parent can also be a shadow root, which has no style of its own.
+    const parent = element.parentNode;
+    if (parent) {
+      if (parent.nodeType === Node.ELEMENT_NODE && window.getComputedStyle(parent).position === 'static') {
+        parent.style.position = 'relative';
+      }
+      parent.appendChild(overlay);
+    } else {
+      // Fallback if no parent
+      document.body.appendChild(overlay);
+    }
+    
+    // Initial sync
+    syncOverlay(element);
+    // Set up event listeners for keeping the overlay in sync
+    element.addEventListener('input', () => syncOverlay(element), { passive: true, signal });
+    element.addEventListener('scroll', () => syncOverlayScroll(element), { passive: true, signal });
+    element.addEventListener('focus', () => syncOverlay(element), { passive: true, signal });
+    element.addEventListener('blur', () => syncOverlay(element), { passive: true, signal });
+    // Window and document listeners only hold the field weakly, so a field whose removal
+    // was missed (and that is never detached) can still be garbage collected
+    const fieldRef = new WeakRef(element);
+    element.ownerDocument.defaultView.addEventListener('resize', () => {
+      const field = fieldRef.deref();
+      if (field) syncOverlay(field);
+    }, { passive: true, signal });
+
+    // Resizing the field (e.g. dragging a textarea's handle) changes where lines wrap
+    if (typeof ResizeObserver === 'function') {
+      element._harperResizeObserver = new ResizeObserver(() => syncOverlay(element));
+      element._harperResizeObserver.observe(element);
+    }
+
+    // Single-line inputs scroll horizontally as the caret moves, which doesn't always fire scroll
+    if (element.tagName === 'INPUT') {
+      const syncScroll = () => syncOverlayScroll(element);
+      element.addEventListener('keyup', syncScroll, { passive: true, signal });
+      element.addEventListener('mouseup', syncScroll, { passive: true, signal });
+      element.addEventListener('select', syncScroll, { passive: true, signal });
+    }
+    
+    
+    // For contenteditable elements, we need additional sync on selection change
+    if (isContentEditableField(element)) {
+      element.ownerDocument.addEventListener('selectionchange', () => {
+        const field = fieldRef.deref();
+        if (field && isFocused(field)) {
+          syncOverlay(field);
+        }
+      }, { passive: true, signal });
+    }
+  } catch (e) {
+    console.error('Error creating overlay:', e); // Keep this as console.error - essential error
+  }
+}
+
+// Computed styles that determine how text is laid out, copied from the field to its mirror overlay
+const MIRROR_STYLE_PROPERTIES = [
+  'boxSizing',
+  'fontFamily', 'fontSize', 'fontStyle', 'fontVariant', 'fontWeight', 'fontStretch',
+  'fontKerning', 'fontFeatureSettings', 'fontVariationSettings',
+  'lineHeight', 'letterSpacing', 'wordSpacing', 'tabSize',
+  'textIndent', 'textTransform', 'textAlign', 'textRendering',
+  'direction', 'writingMode', 'unicodeBidi',
+  'wordBreak', 'overflowWrap', 'hyphens',
+  'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+  'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth'
+];
+
+/**
+ * Synchronize the overlay with its target element, so the mirrored text wraps,
+ * aligns and scrolls exactly like the field's own text.
+ * @param {HTMLElement} element - The element with an overlay.
+ */
+function syncOverlay(element) {
+  const overlay = element._harperOverlay;
+  if (!overlay || element._harperSuspended) return;
+  
+  try {
+    // Position relative to parent
+    overlay.style.left = `${element.offsetLeft}px`;
+    overlay.style.top = `${element.offsetTop}px`;
+    overlay.style.width = `${element.offsetWidth}px`;
+    overlay.style.height = `${element.offsetHeight}px`;
+    
+    // Copy the text layout
+    const computed = window.getComputedStyle(element);
+    for (const property of MIRROR_STYLE_PROPERTIES) {
+      overlay.style[property] = computed[property];
+    }
+    // The size above is the border box, whatever the field's own box-sizing is
+    overlay.style.boxSizing = 'border-box';
+
+    // Borders take up the same space; they are only visible as a debug aid
+    overlay.style.borderStyle = 'solid';
+    overlay.style.borderColor = window._showDebugBorder === false ? 'transparent' : computed.borderTopColor;
+
+    // Scrollbars shrink the field's text area, so leave the same gutter in the overlay
+    const borderX = parseFloat(computed.borderLeftWidth) + parseFloat(computed.borderRightWidth);
+    const borderY = parseFloat(computed.borderTopWidth) + parseFloat(computed.borderBottomWidth);
+    const scrollbarWidth = Math.max(0, element.offsetWidth - element.clientWidth - borderX);
+    const scrollbarHeight = Math.max(0, element.offsetHeight - element.clientHeight - borderY);
+    if (scrollbarWidth > 0) {
+      const side = computed.direction === 'rtl' ? 'paddingLeft' : 'paddingRight';
+      overlay.style[side] = `${parseFloat(computed[side]) + scrollbarWidth}px`;
+    }
+    if (scrollbarHeight > 0) {
+      overlay.style.paddingBottom = `${parseFloat(computed.paddingBottom) + scrollbarHeight}px`;
+    }
+
+    if (element.tagName === 'INPUT') {
+      // Single-line inputs never wrap and center their line vertically
+      overlay.style.whiteSpace = 'pre';
+      overlay.style.overflowWrap = 'normal';
+      const contentHeight = element.clientHeight -
+        parseFloat(computed.paddingTop) - parseFloat(computed.paddingBottom);
+      overlay.style.lineHeight = `${Math.max(0, contentHeight)}px`;
+    } else {
+      overlay.style.whiteSpace = element.tagName === 'TEXTAREA' ? 'pre-wrap' : computed.whiteSpace;
+    }
+
+    syncOverlayScroll(element);
+  } catch (e) {
+    console.error('Error syncing overlay:', e); // Keep this as console.error - essential error
+  }
+}
+
+/**
+ * Scroll the overlay to match its element in both directions.
+ * @param {HTMLElement} element - The element with an overlay.
+ */
+function syncOverlayScroll(element) {
+  const overlay = element._harperOverlay;
+  if (!overlay) return;
+  overlay.scrollTop = element.scrollTop;
+  overlay.scrollLeft = element.scrollLeft;
+}
+
+/**
+ * Create the registry of tracked fields. It can be iterated like a Set (re-linting, error
+ * counts, field rules), but holds its fields through WeakRefs: fields normally leave it
+ * through detachElement, and one whose removal no observer saw (e.g. inside a closed shadow
+ * root) is dropped once it has been garbage collected instead of being kept alive.
+ * @returns {Object} - A set of elements with add, has, delete, forEach and iteration.
+ */
+function createElementRegistry() {
+  const refs = new WeakMap(); // element -> its WeakRef in live
+  const live = new Set();
+
+  return {
+    add(element) {
+      if (refs.has(element)) return;
+      const ref = new WeakRef(element);
+      refs.set(element, ref);
+      live.add(ref);
+    },
+    has(element) {
+      return refs.has(element);
+    },
+    delete(element) {
+      live.delete(refs.get(element));
+      return refs.delete(element);
+    },
+    forEach(callback) {
+      for (const element of this) callback(element);
+    },
+    *[Symbol.iterator]() {
+      // Iterate over a copy, since callbacks may detach fields
+      for (const ref of [...live]) {
+        const element = ref.deref();
+        if (element) {
+          yield element;
+        } else {
+          live.delete(ref);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Attach a contextmenu (right-click) event listener to the element.
+ * If the caret is over an error, show the tooltip.
+ * This implementation uses multiple approaches to ensure reliability.
+ * @param {HTMLElement} element - The element to attach the listener to.
+ */
+function attachContextMenu(element) {
+  // Store a reference to the element for use in the global handler
+  if (!element._harperContextMenuAttached) {
+    element._harperContextMenuAttached = true;
+    const signal = getLifecycleSignal(element);
+    
+    // Add the element to a global registry for the document-level handler
+    // (see createElementRegistry for why it is weak)
+    if (!window._harperElements) {
+      window._harperElements = createElementRegistry();
+    }
+    window._harperElements.add(element);
+    
+    // Primary approach: Direct contextmenu listener with capture
+    element.addEventListener(
       'contextmenu',
       function(e) {
         handleContextMenu(e, element);
       },
-      { capture: true, passive: false } // Cannot be passive as handleContextMenu calls preventDefault
+      { capture: true, passive: false, signal } // Cannot be passive as handleContextMenu calls preventDefault
     );
     
     // Secondary approach: mouseup + keydown for when contextmenu is blocked
@@ -655,7 +2208,7 @@ function attachContextMenu(element) {
       if (e.button === 2) {
         setTimeout(() => handleContextMenu(e, element), 10);
       }
-    });
+    }, { signal });
     
     // For mobile support
     let touchTimeout;
@@ -665,15 +2218,15 @@ function attachContextMenu(element) {
       touchTimeout = setTimeout(() => {
         handleContextMenu(e, element);
       }, 800); // Long press
-    });
+    }, { signal });
     
     element.addEventListener('touchend', function() {
       if (touchTimeout) clearTimeout(touchTimeout);
-    }, { passive: true });
+    }, { passive: true, signal });
     
     element.addEventListener('touchmove', function() {
       if (touchTimeout) clearTimeout(touchTimeout);
-    }, { passive: true });
+    }, { passive: true, signal });
   }
 }
 
@@ -686,7 +2239,7 @@ function handleContextMenu(e, element) {
   try {
     let caretPos;
     
-    if (element.matches('[contenteditable="true"]')) {
+    if (isContentEditableField(element)) {
       caretPos = getCaretPositionContentEditable(element);
     } else {
       caretPos = element.selectionStart || 0;
@@ -741,7 +2294,7 @@ function tryAutoCorrect(element) {
   }
   
   let text, caretPos;
-  if (element.matches('[contenteditable="true"]')) {
+  if (isContentEditableField(element)) {
     text = element.innerText || element.textContent || '';
     caretPos = getCaretPositionContentEditable(element);
   } else {
@@ -831,10 +2384,9 @@ function tryAutoCorrect(element) {
   debugLog(`✅ Found error with ${error.suggestions.length} suggestions: "${text.substring(error.start, error.end)}"`);
 
   // Get the most likely suggestion (first in the list)
-  const suggestion = error.suggestions[0];
-  debugLog(`🔧 Using suggestion: "${suggestion}"`);
-
   const originalWord = text.substring(error.start, error.end);
+  const suggestion = getSuggestionReplacement(originalWord, error.suggestions[0]);
+  debugLog(`🔧 Using ${error.suggestions[0].kind} suggestion: "${error.suggestions[0].text}"`);
   debugLog(`🔄 Replacing "${originalWord}" with "${suggestion}"`);
 
   // Store information about this correction for potential reversion
@@ -851,226 +2403,971 @@ function tryAutoCorrect(element) {
     timestamp: Date.now()
   };
 
-  // Apply the correction immediately, adding a space after the suggestion
-  applyTextReplacement(element, error.start, error.end, replacementWithSpace);
-  debugLog("✓ Correction applied with space");
+  // Apply the correction immediately, adding a space after the suggestion
+  recordAppliedSuggestion(element, error, 0);
+  applyTextReplacement(element, error.start, error.end, replacementWithSpace);
+  // Right after the added space, where tryRevertCorrection expects it
+  setCaretOffset(element, error.start + replacementWithSpace.length);
+  debugLog("✓ Correction applied with space");
+
+  // Apply and fade highlight effect - highlight should include the space
+  applyHighlightEffect(element, error.start, error.start + replacementWithSpace.length);
+  debugLog("✓ Highlight effect applied");
+
+  // Process element asynchronously to update error highlighting
+  setTimeout(() => {
+    debugLog("🔄 Re-processing element after correction");
+    processElement(element);
+  }, 0);
+
+  // Return true to indicate a correction was made
+  debugLog("✅ Auto-correction successful");
+  return true;
+}
+
+/**
+ * Try to revert the most recent auto-correction.
+ * @param {HTMLElement} element - The input element.
+ * @returns {boolean} - Whether a reversion was performed
+ */
+function tryRevertCorrection(element) {
+  // Check if we have an auto-correction to revert for this specific element
+  const correction = window._lastAutoCorrection;
+  
+  // Remove the strict time limit, rely on element match and cursor position check below
+  if (!correction || correction.element !== element) {
+    debugLog("❌ No valid correction found for this element.");
+    return false;
+  }
+
+  // Get current text and caret position
+  let text, caretPos;
+  if (isContentEditableField(element)) {
+    text = element.innerText || element.textContent || '';
+    caretPos = getCaretPositionContentEditable(element);
+  } else {
+    text = element.value || '';
+    caretPos = element.selectionStart || 0;
+  }
+  
+  // Expected position *after* backspace deletes the trailing space added during correction.
+  // This is the start of the correction + the length of the corrected word (without the space).
+  const expectedPosAfterBackspace = correction.position.start + correction.correctedWord.length; 
+
+  // Check if the current caret position matches the expected position after the space was deleted by the backspace.
+  if (caretPos !== expectedPosAfterBackspace) {
+    debugLog(`❌ Revert skipped: caretPos (${caretPos}) !== expectedPosAfterBackspace (${expectedPosAfterBackspace})`);
+    // Also clear the correction if the cursor moved away significantly, preventing accidental future reverts.
+    if (Math.abs(caretPos - expectedPosAfterBackspace) > 2) { // Allow a small margin for timing issues
+        window._lastAutoCorrection = null;
+        debugLog("🧹 Cleared stale auto-correction record.");
+    }
+    return false;
+  }
+
+  // Revert the correction
+  // The end position already includes the space
+  debugLog(`⏪ Reverting: start=${correction.position.start}, end=${correction.position.end}, original="${correction.originalWord}"`);
+  applyTextReplacement(
+    element,
+    correction.position.start,
+    correction.position.end, // This end position includes the space
+    correction.originalWord  // Replace the corrected word + space with the original
+  );
+  
+  // Clear the correction record
+  window._lastAutoCorrection = null;
+
+  // Re-process element to update error highlighting
+  setTimeout(() => {
+      debugLog("🔄 Re-processing element after reversion");
+      processElement(element);
+  }, 0);
+
+  // Return true to indicate a reversion was performed
+  debugLog("✅ Reversion successful");
+  return true;
+}
+
+/**
+ * Apply a highlight effect to the corrected text that fades out.
+ * @param {HTMLElement} element - The element containing the text.
+ * @param {number} start - The start index of the text to highlight.
+ * @param {number} end - The end index of the text to highlight.
+ */
+function applyHighlightEffect(element, start, end) {
+  try {
+    // Create temporary highlight overlay
+    const highlightOverlay = document.createElement('div');
+    highlightOverlay.className = 'harper-highlight-overlay';
+    highlightOverlay.style.position = 'absolute';
+    highlightOverlay.style.backgroundColor = 'rgba(255, 255, 0, 0.3)';
+    highlightOverlay.style.pointerEvents = 'none';
+    highlightOverlay.style.transition = 'opacity 1s ease-out';
+    highlightOverlay.style.opacity = '1';
+    highlightOverlay.style.zIndex = '9998'; // Below error overlay but above content
+    
+    // Position the highlight overlay
+    if (isContentEditableField(element)) {
+      // Position for contenteditable using Range API
+      positionHighlightContentEditable(element, highlightOverlay, start, end);
+    } else {
+      // Position for input/textarea
+      positionHighlightInput(element, highlightOverlay, start, end);
+    }
+    
+    // Add to DOM - use same parent as the element's overlay
+    const parent = element.parentNode || document.body;
+    parent.appendChild(highlightOverlay);
+    
+    // Fade out and remove
+    setTimeout(() => {
+      highlightOverlay.style.opacity = '0';
+      setTimeout(() => {
+        if (highlightOverlay.parentNode) {
+          highlightOverlay.parentNode.removeChild(highlightOverlay);
+        }
+      }, 1000); // Remove after fade completes
+    }, 100); // Start fade after 100ms
+  } catch (e) {
+    console.error('Error applying highlight effect:', e); // Keep this as console.error - essential error
+  }
+}
+
+/**
+ * Position the highlight overlay for a contenteditable element.
+ * @param {HTMLElement} element - The contenteditable element.
+ * @param {HTMLElement} highlightOverlay - The highlight overlay element.
+ * @param {number} start - The start index of the text to highlight.
+ * @param {number} end - The end index of the text to highlight.
+ */
+function positionHighlightContentEditable(element, highlightOverlay, start, end) {
+  try {
+    // Create a range spanning the text to highlight
+    const range = createTextRange(element, start, end);
+    
+    if (range) {
+      // Get the bounding client rect of the range
+      const rect = range.getBoundingClientRect();
+      const elementRect = element.getBoundingClientRect();
+      
+      // Position the highlight overlay relative to the element
+      highlightOverlay.style.left = `${rect.left - elementRect.left}px`;
+      highlightOverlay.style.top = `${rect.top - elementRect.top}px`;
+      highlightOverlay.style.width = `${rect.width}px`;
+      highlightOverlay.style.height = `${rect.height}px`;
+    }
+  } catch (e) {
+    console.error('Error positioning highlight for contenteditable:', e); // Keep this as console.error - essential error
+  }
+}
+
+/**
+ * Position the highlight overlay for an input or textarea element.
+ * This is more challenging since we don't have direct access to text positions.
+ * @param {HTMLElement} element - The input or textarea element.
+ * @param {HTMLElement} highlightOverlay - The highlight overlay element.
+ * @param {number} start - The start index of the text to highlight.
+ * @param {number} end - The end index of the text to highlight.
+ */
+function positionHighlightInput(element, highlightOverlay, start, end) {
+  try {
+    // For input/textarea, we'll use a simpler approach - highlight the entire element
+    // and rely on the overlay system for positioning
+    
+    const rect = element.getBoundingClientRect();
+    const computed = window.getComputedStyle(element);
+    
+    // Set base styles based on the element
+    highlightOverlay.style.left = '0';
+    highlightOverlay.style.top = '0';
+    highlightOverlay.style.width = '100%';
+    highlightOverlay.style.height = '100%';
+    
+    // Position it absolutely within the existing overlay's parent
+    if (element._harperOverlay && element._harperOverlay.parentNode) {
+      element._harperOverlay.parentNode.appendChild(highlightOverlay);
+    } else {
+      // Fallback if no parent
+      document.body.appendChild(highlightOverlay);
+    }
+  } catch (e) {
+    console.error('Error positioning highlight for input:', e); // Keep this as console.error - essential error
+  }
+}
+
+// ============================================================================
+// Frames
+// ============================================================================
+
+// Error totals of all frames in this tab, as relayed by the background (top frame only)
+window._harperFrameTotals = { total: 0, frames: {} };
+
+/**
+ * Get the hostname whose site settings apply to this frame: the top-level page's,
+ * so an embedded editor follows the settings of the site it is embedded in.
+ * @returns {string} - The hostname.
+ */
+function getSiteHostname() {
+  if (window === window.top) return location.hostname;
+  const origins = location.ancestorOrigins;
+  if (origins && origins.length > 0) {
+    try {
+      return new URL(origins[origins.length - 1]).hostname;
+    } catch (e) {
+      // Opaque origin; fall back to the frame's own hostname
+    }
+  }
+  return location.hostname;
+}
+
+/**
+ * Check whether a frame's document gets its own content script (see all_frames in manifest.json).
+ * @param {Document} doc - The frame's document.
+ * @returns {boolean} - True for documents loaded from a web or file address.
+ */
+function hasOwnContentScript(doc) {
+  return /^(https?|file):/.test(doc.URL);
+}
+
+/**
+ * Report this frame's error count to the background, which keeps the totals for the
+ * tab's badge and the top frame. Debounced, since every lint calls it.
+ */
+function reportErrorCount() {
+  if (window._harperErrorCountTimeout) clearTimeout(window._harperErrorCountTimeout);
+  window._harperErrorCountTimeout = setTimeout(() => {
+    window._harperErrorCountTimeout = null;
+    // Also release fields whose removal no observer saw (e.g. in a shadow root that was
+    // never scanned); if the page adds one back later, it is tracked again
+    detachRemovedElements();
+    let count = 0;
+    window._harperElements?.forEach(element => {
+      count += window._harperErrorMap.get(element)?.length ?? 0;
+    });
+    if (count === window._harperReportedErrorCount) return;
+    window._harperReportedErrorCount = count;
+    chrome.runtime.sendMessage({ type: 'harper-frame-errors', count }).catch((e) => {
+      debugWarn('Failed to report error count:', e);
+    });
+  }, 500);
+}
+
+// A frame that goes away (or is cached on navigation) no longer has errors
+window.addEventListener('pagehide', () => {
+  if (!window._harperReportedErrorCount) return;
+  window._harperReportedErrorCount = 0;
+  chrome.runtime.sendMessage({ type: 'harper-frame-errors', count: 0 }).catch((e) => {
+    // The extension may be reloading
+  });
+});
+
+// Coming back from the back/forward cache, report the errors again
+window.addEventListener('pageshow', (e) => {
+  if (!e.persisted) return;
+  window._harperReportedErrorCount = undefined;
+  reportErrorCount();
+});
+
+// ============================================================================
+// Field Detection
+// ============================================================================
+
+// Built-in rules for which fields are checked. Each can be turned off in the options
+// (keys match FIELD_RULES in options.js); sites can add their own selectors on top.
+const FIELD_RULES = {
+  textInputs: 'input[type="text"]',
+  untypedInputs: 'input:not([type])',
+  textareas: 'textarea',
+  contentEditable: '[contenteditable=""], [contenteditable="true"]',
+  plaintextOnly: '[contenteditable="plaintext-only"]',
+  // Widgets that aren't editable themselves are checked through the editing host inside them
+  textboxes: '[role="textbox"]'
+};
+
+// Elements that can be typed in (isContentEditable is false for fields that aren't rendered yet)
+const EDITABLE_SELECTOR = '[contenteditable]:not([contenteditable="false"])';
+
+// Attributes that can make an element start or stop being a field
+const FIELD_ATTRIBUTES = ['contenteditable', 'type', 'role'];
+
+// Attributes only site selectors can depend on; pages change these constantly,
+// so they are observed only on sites that have selectors
+const SITE_FIELD_ATTRIBUTES = ['class', 'id'];
+
+// Compiled rules: { include, exclude, designMode, textboxes, siteSpecific }, where the selector lists may be empty
+window._harperFieldRules = compileFieldRules();
+
+/**
+ * Check that a CSS selector parses, so one bad site selector can't break scanning.
+ * @param {string} selector - The selector.
+ * @returns {boolean} - True if the selector is valid.
+ */
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Combine the enabled built-in rules with this site's include and exclude selectors.
+ * @param {Object} [fieldRules] - Disabled built-in rules, e.g. { textboxes: false }.
+ * @param {Object} [siteFieldSelectors] - Per-site selectors: { [hostname]: { include: [], exclude: [] } }.
+ * @returns {{include: string, exclude: string, designMode: boolean, textboxes: boolean, siteSpecific: boolean}} - The
+ *   selector lists, whether designMode documents are checked (they are rich text editors, like
+ *   contenteditable), whether role="textbox" widgets are, and whether this site has selectors of its own.
+ */
+function compileFieldRules(fieldRules = {}, siteFieldSelectors = {}) {
+  const site = siteFieldSelectors[getSiteHostname()] ?? {};
+  const validate = selectors => (selectors ?? []).filter(selector => {
+    if (isValidSelector(selector)) return true;
+    debugWarn(`Ignoring invalid field selector "${selector}"`);
+    return false;
+  });
+
+  const siteInclude = validate(site.include);
+  const siteExclude = validate(site.exclude);
+  const include = Object.entries(FIELD_RULES)
+    .filter(([key]) => fieldRules[key] !== false)
+    .map(([, selector]) => selector)
+    .concat(siteInclude);
+  return {
+    include: include.join(', '),
+    exclude: siteExclude.join(', '),
+    designMode: fieldRules.contentEditable !== false,
+    textboxes: fieldRules.textboxes !== false,
+    siteSpecific: siteInclude.length > 0 || siteExclude.length > 0
+  };
+}
+
+/**
+ * Check whether an element, or one of its ancestors, matches an exclude selector.
+ * @param {Element} element - The element.
+ * @returns {boolean} - True if the element is excluded.
+ */
+function isExcludedField(element) {
+  const { exclude } = window._harperFieldRules;
+  return !!exclude && !!element.closest(exclude);
+}
+
+/**
+ * Find the element a role="textbox" widget is typed in: the widget itself, or the
+ * single editing host inside it (editors often put the role on a wrapper).
+ * @param {Element} textbox - The widget.
+ * @returns {Element|null} - The editing host, or null if there is none or more than one.
+ */
+function getTextboxHost(textbox) {
+  if (textbox.isContentEditable || textbox.matches(EDITABLE_SELECTOR)) return textbox;
+  const hosts = [...textbox.querySelectorAll(EDITABLE_SELECTOR)];
+  // Editable elements nested in the first host belong to it
+  return hosts.length > 0 && hosts.every(host => hosts[0].contains(host)) ? hosts[0] : null;
+}
+
+/**
+ * Check whether an element is picked up by the field rules: it matches an include
+ * selector, or it is the editing host of an enabled role="textbox" widget.
+ * @param {Element} element - The element.
+ * @returns {boolean} - True if a rule matches.
+ */
+function matchesFieldRules(element) {
+  const { include, textboxes } = window._harperFieldRules;
+  if (include && element.matches(include)) return true;
+  const textbox = textboxes && element.parentElement?.closest(FIELD_RULES.textboxes);
+  return !!textbox && getTextboxHost(textbox) === element;
+}
+
+/**
+ * Check whether an element should be checked: it matches a field rule, isn't excluded,
+ * can actually be typed in, and isn't part of a larger editing host (which is checked as a whole).
+ * The body of a designMode document matches no selector; it follows the contenteditable rule.
+ * @param {Element} element - The element.
+ * @returns {boolean} - True if the element is a field.
+ */
+function isTargetField(element) {
+  if (isDesignModeBody(element)) {
+    return window._harperFieldRules.designMode && !isExcludedField(element);
+  }
+  if (!matchesFieldRules(element) || isExcludedField(element)) return false;
+  if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') return true;
+  // isContentEditable is false for fields that aren't rendered yet, so check the attribute too
+  const editable = element.isContentEditable || element.matches(EDITABLE_SELECTOR);
+  return editable && !element.parentElement?.isContentEditable;
+}
+
+/**
+ * Find the fields in a node: the node itself and its descendants. Matching
+ * role="textbox" widgets (including one around the node) stand for their editing host.
+ * @param {Node} node - A document, shadow root or element.
+ * @returns {Array<HTMLElement>} - The fields.
+ */
+function findFields(node) {
+  const { include, textboxes } = window._harperFieldRules;
+  if (!include || !node.querySelectorAll) return [];
+  const candidates = [...node.querySelectorAll(include)];
+  if (node.nodeType === Node.ELEMENT_NODE) {
+    candidates.unshift(node);
+    // An editor added inside an existing widget
+    const textbox = textboxes && node.parentElement?.closest(FIELD_RULES.textboxes);
+    if (textbox) candidates.unshift(textbox);
+  }
+  const fields = new Set();
+  candidates.forEach(candidate => {
+    const field = textboxes && candidate.matches(FIELD_RULES.textboxes) ? getTextboxHost(candidate) : candidate;
+    if (field && isTargetField(field)) fields.add(field);
+  });
+  return [...fields];
+}
+
+/**
+ * Start or stop checking an element (and the fields inside it) after one of its
+ * attributes changed, e.g. it was made contenteditable or given role="textbox".
+ * @param {Element} element - The element whose attributes changed.
+ * @param {boolean} subtree - Whether the change can affect the fields inside the element.
+ */
+function refreshFieldTracking(element, subtree) {
+  if (window._harperElements?.has(element) && !isTargetField(element)) {
+    detachElement(element);
+  }
+  if (!subtree) {
+    if (!window._harperElements?.has(element) && isTargetField(element)) trackElement(element);
+    return;
+  }
+  // Fields nested in an element that just became an editing host are checked as part of it
+  window._harperElements?.forEach(tracked => {
+    if (tracked !== element && element.contains(tracked) && !isTargetField(tracked)) {
+      detachElement(tracked);
+    }
+  });
+  findFields(element).forEach(field => {
+    if (!window._harperElements?.has(field)) trackElement(field);
+  });
+}
+
+/**
+ * Apply changed field rules: stop checking fields that no longer match and
+ * start checking new matches in the document, its shadow roots and same-origin iframes.
+ */
+function applyFieldRules() {
+  window._harperElements?.forEach(element => {
+    if (!isTargetField(element)) detachElement(element);
+  });
+  rescanFields(document);
+  observeFieldAttributes();
+}
+
+/**
+ * Track untracked fields in a root that is already observed.
+ * @param {Document|ShadowRoot} root - The root.
+ */
+function rescanFields(root) {
+  const fields = findFields(root);
+  if (root.body && isTargetField(root.body)) fields.push(root.body);
+  fields.forEach(field => {
+    if (!window._harperElements?.has(field)) trackElement(field);
+  });
+  findShadowRoots(root).forEach(rescanFields);
+  root.querySelectorAll('iframe').forEach(iframe => {
+    if (!iframe._harperWatched) return;
+    try {
+      const childDoc = iframe.contentDocument;
+      if (childDoc && !hasOwnContentScript(childDoc)) rescanFields(childDoc);
+    } catch (e) {
+      // ignore cross-origin
+    }
+  });
+}
+
+/**
+ * Find the tracked field an event target belongs to.
+ * @param {Element} target - The event target (or an element inside the field).
+ * @returns {HTMLElement|null} - The field, or null if the target isn't in one.
+ */
+function findTrackedField(target) {
+  for (let node = target; node; node = node.parentElement) {
+    if (window._harperElements?.has(node)) return node;
+  }
+  return null;
+}
+
+// ============================================================================
+// Shadow DOM
+// ============================================================================
+
+// Shadow roots (and documents) that are already scanned and observed
+window._harperScannedRoots = new WeakSet();
+
+// Weak references to the observed roots, so their observers can be updated when the field
+// rules change; each root keeps its observer in root._harperObserver
+window._harperObservedRoots = new Set();
+
+/**
+ * Get the observer options for a root: added and removed nodes, and the attributes
+ * that can make an element a field under the current rules.
+ * @returns {MutationObserverInit} - The options.
+ */
+function getObserverOptions() {
+  return {
+    childList: true,
+    subtree: true,
+    // Elements can become fields (or stop being fields) without being added or removed
+    attributes: true,
+    attributeFilter: window._harperFieldRules.siteSpecific
+      ? [...FIELD_ATTRIBUTES, ...SITE_FIELD_ATTRIBUTES]
+      : FIELD_ATTRIBUTES
+  };
+}
+
+/**
+ * Re-observe every root with the attributes the current field rules depend on,
+ * e.g. start observing class changes once the site has selectors.
+ */
+function observeFieldAttributes() {
+  window._harperObservedRoots.forEach(ref => {
+    const root = ref.deref();
+    if (!root) {
+      window._harperObservedRoots.delete(ref);
+      return;
+    }
+    // Observing the same node again replaces its options
+    root._harperObserver.observe(root, getObserverOptions());
+  });
+}
+
+/**
+ * Start checking a field found in a document or shadow root.
+ * @param {HTMLElement} element - The field.
+ */
+function trackElement(element) {
+  attachListeners(element);
+  element.style.border = window._showDebugBorder ? '2px dashed orange' : 'none';
+  requestLint(element);
+}
+
+/**
+ * Scan a document or open shadow root for fields, then observe it for fields and
+ * shadow roots added later.
+ * @param {Document|ShadowRoot} root - The root to scan.
+ */
+function scanRoot(root) {
+  if (window._harperScannedRoots.has(root)) return;
+  window._harperScannedRoots.add(root);
+  // Not instanceof ShadowRoot: roots inside iframes come from another window
+  if (root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host) adoptHighlightStyles(root);
+
+  try {
+    findFields(root).forEach(trackElement);
+    root.querySelectorAll('iframe').forEach(watchIframe);
+    findShadowRoots(root).forEach(scanRoot);
+  } catch (e) {
+    // ignore
+  }
+
+  // Set up a MutationObserver to handle dynamically added elements
+  const elementObserver = new MutationObserver(mutations => {
+    const removed = [];
+    // Changed element -> whether the fields inside it need a refresh too
+    const changed = new Map();
+    for (const mutation of mutations) {
+      if (mutation.type === 'attributes') {
+        // Pages can toggle classes in bursts, so each element is refreshed once per batch.
+        // A type only affects the element; elements without children have no fields inside.
+        const element = mutation.target;
+        const subtree = mutation.attributeName !== 'type' && element.firstElementChild !== null;
+        changed.set(element, changed.get(element) || subtree);
+        continue;
+      }
+      mutation.removedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) removed.push(node);
+      });
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          findFields(node).forEach(trackElement);
+          if (node.tagName === 'IFRAME') watchIframe(node);
+          node.querySelectorAll?.('iframe').forEach(watchIframe);
+          findShadowRoots(node).forEach(scanRoot);
+        }
+      }
+    }
+    // Checked after the whole batch, so fields that were only moved stay attached
+    if (removed.length > 0) detachRemovedElements(removed);
+    changed.forEach((subtree, element) => {
+      if (element.isConnected) refreshFieldTracking(element, subtree);
+    });
+  });
+  // Observe the root itself rather than its body, which editors may replace (document.open)
+  elementObserver.observe(root, getObserverOptions());
+  root._harperObserver = elementObserver;
+  window._harperObservedRoots.add(new WeakRef(root));
+}
+
+/**
+ * Scan a same-origin iframe now and every time it loads a new document.
+ * Rich-text editors create their iframe late and fill it after its load event.
+ * @param {HTMLIFrameElement} iframe - The iframe.
+ */
+function watchIframe(iframe) {
+  if (iframe._harperWatched) return;
+  iframe._harperWatched = true;
+
+  const scanFrame = () => {
+    try {
+      const childDoc = iframe.contentDocument;
+      // Frames with a web address get their own copy of this script (all_frames),
+      // so only about:blank, srcdoc and script-written frames are scanned from here
+      if (childDoc && !hasOwnContentScript(childDoc)) {
+        scanDocument(childDoc);
+      }
+    } catch (e) {
+      // ignore cross-origin
+    }
+  };
+  iframe.addEventListener('load', scanFrame, { passive: true });
+  scanFrame();
+}
+
+/**
+ * Pick up fields that no scan, field rule or attribute change reveals: documents
+ * switched to designMode, hosts missed while they weren't rendered, and fields in
+ * shadow roots attached without a DOM mutation (a custom element upgraded after the
+ * scan). They are found when they first get focus. Safe to call again for the same document
+ * (document.open() removes its listeners, so frames call it on every load).
+ * @param {Document} doc - The document.
+ */
+function watchEditingHosts(doc) {
+  doc.addEventListener('focusin', handleEditingHostFocus, { capture: true, passive: true });
+  if (doc !== document) {
+    // The tooltip lives in the top document, whose click-away handler doesn't see clicks in frames
+    doc.addEventListener('click', hideTooltipFromFrame, { capture: true, passive: true });
+  }
+  if (doc.body && isDesignModeBody(doc.body) && isTargetField(doc.body)) {
+    trackElement(doc.body);
+  }
+}
+
+/**
+ * Scan the shadow roots the focus went through, and track the editing host that
+ * received focus, if they aren't known yet.
+ * @param {FocusEvent} e - The focusin event.
+ */
+function handleEditingHostFocus(e) {
+  // Content scripts can't use customElements.whenDefined (customElements is null in
+  // their world), so roots attached on upgrade are found on the way to the focused field
+  for (const node of e.composedPath?.() ?? []) {
+    if (node.shadowRoot && !window._harperScannedRoots.has(node.shadowRoot)) {
+      debugLog(`🌑 Scanning shadow root of ${node.tagName} found on focus`);
+      scanRoot(node.shadowRoot);
+    }
+  }
+
+  const host = getEditingHost(getEventTarget(e));
+  if (!host || window._harperElements?.has(host)) return;
+  if (isTargetField(host)) {
+    debugLog(`✏️ Tracking editing host ${host.tagName} found on focus`);
+    trackElement(host);
+  }
+}
+
+/**
+ * Check whether an element is the body of a document in designMode.
+ * @param {HTMLElement} element - The element.
+ * @returns {boolean} - True for designMode bodies.
+ */
+function isDesignModeBody(element) {
+  return element.ownerDocument.designMode === 'on' && element === element.ownerDocument.body;
+}
+
+/**
+ * Hide the tooltip when clicking inside a same-origin iframe.
+ */
+function hideTooltipFromFrame() {
+  if (window.harperTooltip) {
+    window.harperTooltip.style.display = 'none';
+  }
+}
+
+/**
+ * Find the editing host of an element: the body of a designMode document,
+ * or the outermost contenteditable ancestor.
+ * @param {Element} element - The focused element.
+ * @returns {HTMLElement|null} - The editing host, or null if the element isn't editable.
+ */
+function getEditingHost(element) {
+  const doc = element.ownerDocument;
+  if (doc.designMode === 'on') return doc.body;
+  if (!element.isContentEditable) return null;
+  let host = element;
+  while (host.parentElement?.isContentEditable) {
+    host = host.parentElement;
+  }
+  return host;
+}
+
+/**
+ * Get where a field's frame sits in this window, so positions from events in a
+ * same-origin iframe can be translated.
+ * @param {HTMLElement} element - The field.
+ * @returns {{x: number, y: number}} - The offset of the field's viewport.
+ */
+function getFrameOffset(element) {
+  let x = 0;
+  let y = 0;
+  let view = element.ownerDocument.defaultView;
+  while (view && view !== window && view.frameElement) {
+    const frame = view.frameElement;
+    const rect = frame.getBoundingClientRect();
+    x += rect.left + frame.clientLeft;
+    y += rect.top + frame.clientTop;
+    view = view.parent;
+  }
+  return { x, y };
+}
+
+/**
+ * Find the open shadow roots of an element and its descendants (not nested ones;
+ * scanRoot finds those when it scans each root).
+ * @param {Node} node - A document, shadow root or element.
+ * @returns {Array<ShadowRoot>} - The shadow roots.
+ */
+function findShadowRoots(node) {
+  const roots = [];
+  if (node.shadowRoot) roots.push(node.shadowRoot);
+  const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+  while (walker.nextNode()) {
+    if (walker.currentNode.shadowRoot) roots.push(walker.currentNode.shadowRoot);
+  }
+  return roots;
+}
 
-  // Apply and fade highlight effect - highlight should include the space
-  applyHighlightEffect(element, error.start, error.start + replacementWithSpace.length);
-  debugLog("✓ Highlight effect applied");
+/**
+ * Get the element an event really happened on. Events from inside a shadow root
+ * are retargeted to its host by the time they reach the document.
+ * @param {Event} e - The event.
+ * @returns {Element} - The innermost element on the event's path.
+ */
+function getEventTarget(e) {
+  const target = e.composedPath?.()[0] ?? e.target;
+  return target.nodeType === Node.ELEMENT_NODE ? target : (target.parentElement ?? e.target);
+}
 
-  // Process element asynchronously to update error highlighting
-  setTimeout(() => {
-    debugLog("🔄 Re-processing element after correction");
-    processElement(element);
-  }, 0);
+/**
+ * Get the focused element, looking inside shadow roots and the same-origin
+ * iframes this script checks (see watchIframe).
+ * @returns {Element|null} - The focused element.
+ */
+function getDeepActiveElement() {
+  let active = document.activeElement;
+  while (active) {
+    if (active.shadowRoot?.activeElement) {
+      active = active.shadowRoot.activeElement;
+    } else if (active.tagName === 'IFRAME' && active._harperWatched && active.contentDocument?.activeElement) {
+      active = active.contentDocument.activeElement;
+    } else {
+      break;
+    }
+  }
+  return active;
+}
 
-  // Return true to indicate a correction was made
-  debugLog("✅ Auto-correction successful");
-  return true;
+/**
+ * Check whether a field has focus, including fields inside shadow roots.
+ * @param {HTMLElement} element - The field.
+ * @returns {boolean} - True if the field is focused.
+ */
+function isFocused(element) {
+  return element.getRootNode().activeElement === element;
 }
 
 /**
- * Try to revert the most recent auto-correction.
- * @param {HTMLElement} element - The input element.
- * @returns {boolean} - Whether a reversion was performed
+ * Get the selection for a field. Inside a shadow root, Chrome only exposes the
+ * real selection through the shadow root's own getSelection().
+ * @param {HTMLElement} element - The field.
+ * @returns {Selection|null} - The selection.
  */
-function tryRevertCorrection(element) {
-  // Check if we have an auto-correction to revert for this specific element
-  const correction = window._lastAutoCorrection;
-  
-  // Remove the strict time limit, rely on element match and cursor position check below
-  if (!correction || correction.element !== element) {
-    debugLog("❌ No valid correction found for this element.");
-    return false;
+function getElementSelection(element) {
+  const root = element.getRootNode();
+  return typeof root.getSelection === 'function' ? root.getSelection() : window.getSelection();
+}
+
+// ============================================================================
+// Element Lifecycle
+// ============================================================================
+
+/**
+ * Get the AbortSignal that removes a field's listeners when it is detached.
+ * Every listener attached for a field, including window and document listeners, uses it.
+ * @param {HTMLElement} element - The field.
+ * @returns {AbortSignal} - The signal.
+ */
+function getLifecycleSignal(element) {
+  if (!element._harperLifecycle) {
+    element._harperLifecycle = new AbortController();
   }
+  return element._harperLifecycle.signal;
+}
 
-  // Get current text and caret position
-  let text, caretPos;
-  if (element.matches('[contenteditable="true"]')) {
-    text = element.innerText || element.textContent || '';
-    caretPos = getCaretPositionContentEditable(element);
-  } else {
-    text = element.value || '';
-    caretPos = element.selectionStart || 0;
+/**
+ * Detach tracked fields that are no longer in a live document. With removed nodes,
+ * only the fields inside them are checked (including those in their shadow roots);
+ * without, or when an iframe was removed, every tracked field is.
+ * @param {Array<Element>} [removedNodes] - Elements a mutation batch removed.
+ */
+function detachRemovedElements(removedNodes) {
+  const isGone = element => !element.isConnected || !element.ownerDocument.defaultView;
+  // A field inside a removed iframe stays connected to its own, now windowless, document
+  const fullSweep = !removedNodes || removedNodes.some(node => node.tagName === 'IFRAME' || node.querySelector('iframe'));
+  if (fullSweep) {
+    window._harperElements?.forEach(element => {
+      if (isGone(element)) detachElement(element);
+    });
+    releaseHighlightSheets();
+    return;
   }
-  
-  // Expected position *after* backspace deletes the trailing space added during correction.
-  // This is the start of the correction + the length of the corrected word (without the space).
-  const expectedPosAfterBackspace = correction.position.start + correction.correctedWord.length; 
 
-  // Check if the current caret position matches the expected position after the space was deleted by the backspace.
-  if (caretPos !== expectedPosAfterBackspace) {
-    debugLog(`❌ Revert skipped: caretPos (${caretPos}) !== expectedPosAfterBackspace (${expectedPosAfterBackspace})`);
-    // Also clear the correction if the cursor moved away significantly, preventing accidental future reverts.
-    if (Math.abs(caretPos - expectedPosAfterBackspace) > 2) { // Allow a small margin for timing issues
-        window._lastAutoCorrection = null;
-        debugLog("🧹 Cleared stale auto-correction record.");
+  // Every tracked field outside designMode documents matches the include rules,
+  // or is the editing host of a textbox widget
+  const { include, textboxes } = window._harperFieldRules;
+  if (!include) return;
+  const selector = textboxes ? `${include}, ${EDITABLE_SELECTOR}` : include;
+  for (const node of removedNodes) {
+    // Nodes that were only moved are connected again by the end of the batch
+    if (node.isConnected) continue;
+    const candidates = node.matches(selector) ? [node] : [];
+    for (const root of [node, ...findShadowRoots(node)]) {
+      candidates.push(...root.querySelectorAll(selector));
+    }
+    for (const candidate of candidates) {
+      if (window._harperElements?.has(candidate) && isGone(candidate)) detachElement(candidate);
     }
-    return false;
   }
+}
 
-  // Revert the correction
-  // The end position already includes the space
-  debugLog(`⏪ Reverting: start=${correction.position.start}, end=${correction.position.end}, original="${correction.originalWord}"`);
-  applyTextReplacement(
-    element,
-    correction.position.start,
-    correction.position.end, // This end position includes the space
-    correction.originalWord  // Replace the corrected word + space with the original
-  );
-  
-  // Clear the correction record
-  window._lastAutoCorrection = null;
+/**
+ * Release everything attached to a field: listeners, observers, overlay, highlights
+ * and error state. If the field is added back later, it is set up again from scratch.
+ * @param {HTMLElement} element - The field.
+ */
+function detachElement(element) {
+  debugLog(`🧹 Detaching ${element.tagName}`);
+
+  element._harperLifecycle?.abort();
+  delete element._harperLifecycle;
+  delete element._harperContextMenuAttached;
+
+  element._harperResizeObserver?.disconnect();
+  delete element._harperResizeObserver;
+  window._harperVisibilityObserver?.unobserve(element);
+
+  element._harperOverlay?.remove();
+  delete element._harperOverlay;
+  clearHighlights(element);
+
+  // Results of lints still in flight are dropped by their version check
+  element._harperLintVersion = (element._harperLintVersion || 0) + 1;
+  delete element._harperLintPending;
+  delete element._harperVisible;
+  delete element._harperSuspended;
+
+  window._harperErrorMap.delete(element);
+  window._harperElements?.delete(element);
+  reportErrorCount();
+  if (window._lastAutoCorrection?.element === element) {
+    window._lastAutoCorrection = null;
+  }
+  if (window._harperLastFocusedElement?.deref() === element) {
+    window._harperLastFocusedElement = null;
+  }
+}
 
-  // Re-process element to update error highlighting
-  setTimeout(() => {
-      debugLog("🔄 Re-processing element after reversion");
-      processElement(element);
-  }, 0);
+// ============================================================================
+// Visibility: Deferred Linting & Suspended Overlays
+// ============================================================================
 
-  // Return true to indicate a reversion was performed
-  debugLog("✅ Reversion successful");
-  return true;
+// Fields are checked once they come within this distance of the viewport
+const VISIBILITY_ROOT_MARGIN = '200px';
+
+/**
+ * Get the IntersectionObserver that tracks which fields are on screen.
+ * @returns {IntersectionObserver|null} - The observer, or null if the API is unavailable.
+ */
+function getVisibilityObserver() {
+  if (!window._harperVisibilityObserver && typeof IntersectionObserver === 'function') {
+    window._harperVisibilityObserver = new IntersectionObserver(handleVisibilityChange, {
+      rootMargin: VISIBILITY_ROOT_MARGIN
+    });
+  }
+  return window._harperVisibilityObserver ?? null;
 }
 
 /**
- * Apply a highlight effect to the corrected text that fades out.
- * @param {HTMLElement} element - The element containing the text.
- * @param {number} start - The start index of the text to highlight.
- * @param {number} end - The end index of the text to highlight.
+ * Start tracking whether a field is visible.
+ * @param {HTMLElement} element - The field.
  */
-function applyHighlightEffect(element, start, end) {
-  try {
-    // Create temporary highlight overlay
-    const highlightOverlay = document.createElement('div');
-    highlightOverlay.className = 'harper-highlight-overlay';
-    highlightOverlay.style.position = 'absolute';
-    highlightOverlay.style.backgroundColor = 'rgba(255, 255, 0, 0.3)';
-    highlightOverlay.style.pointerEvents = 'none';
-    highlightOverlay.style.transition = 'opacity 1s ease-out';
-    highlightOverlay.style.opacity = '1';
-    highlightOverlay.style.zIndex = '9998'; // Below error overlay but above content
-    
-    // Position the highlight overlay
-    if (element.matches('[contenteditable="true"]')) {
-      // Position for contenteditable using Range API
-      positionHighlightContentEditable(element, highlightOverlay, start, end);
+function observeVisibility(element) {
+  getVisibilityObserver()?.observe(element);
+}
+
+/**
+ * Lint fields that became visible and suspend the overlays of fields that left the viewport.
+ * Hidden fields (display: none, closed modals) never intersect, so they are never linted.
+ * @param {Array<IntersectionObserverEntry>} entries - The visibility changes.
+ */
+function handleVisibilityChange(entries) {
+  for (const entry of entries) {
+    const element = entry.target;
+    element._harperVisible = entry.isIntersecting;
+    if (entry.isIntersecting) {
+      resumeOverlay(element);
+      if (element._harperLintPending) requestLint(element);
     } else {
-      // Position for input/textarea
-      positionHighlightInput(element, highlightOverlay, start, end);
+      suspendOverlay(element);
     }
-    
-    // Add to DOM - use same parent as the element's overlay
-    const parent = element.parentNode || document.body;
-    parent.appendChild(highlightOverlay);
-    
-    // Fade out and remove
-    setTimeout(() => {
-      highlightOverlay.style.opacity = '0';
-      setTimeout(() => {
-        if (highlightOverlay.parentNode) {
-          highlightOverlay.parentNode.removeChild(highlightOverlay);
-        }
-      }, 1000); // Remove after fade completes
-    }, 100); // Start fade after 100ms
-  } catch (e) {
-    console.error('Error applying highlight effect:', e); // Keep this as console.error - essential error
   }
 }
 
 /**
- * Position the highlight overlay for a contenteditable element.
- * @param {HTMLElement} element - The contenteditable element.
- * @param {HTMLElement} highlightOverlay - The highlight overlay element.
- * @param {number} start - The start index of the text to highlight.
- * @param {number} end - The end index of the text to highlight.
+ * Lint a field now if it is visible or focused, otherwise once it becomes visible.
+ * @param {HTMLElement} element - The field.
  */
-function positionHighlightContentEditable(element, highlightOverlay, start, end) {
-  try {
-    // Create a range spanning the text to highlight
-    const range = document.createRange();
-    const textNodes = [];
-    
-    // Collect all text nodes in the element
-    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
-    while (walker.nextNode()) {
-      textNodes.push(walker.currentNode);
-    }
-    
-    // Find the nodes and offsets for the start and end positions
-    let currentIndex = 0;
-    let startNode = null, startOffset = 0;
-    let endNode = null, endOffset = 0;
-    
-    for (const node of textNodes) {
-      const nodeLength = node.nodeValue.length;
-      
-      if (!startNode && currentIndex + nodeLength > start) {
-        startNode = node;
-        startOffset = start - currentIndex;
-      }
-      
-      if (!endNode && currentIndex + nodeLength >= end) {
-        endNode = node;
-        endOffset = end - currentIndex;
-        break;
-      }
-      
-      currentIndex += nodeLength;
-    }
-    
-    if (startNode && endNode) {
-      // Set the range boundaries
-      range.setStart(startNode, startOffset);
-      range.setEnd(endNode, endOffset);
-      
-      // Get the bounding client rect of the range
-      const rect = range.getBoundingClientRect();
-      const elementRect = element.getBoundingClientRect();
-      
-      // Position the highlight overlay relative to the element
-      highlightOverlay.style.left = `${rect.left - elementRect.left}px`;
-      highlightOverlay.style.top = `${rect.top - elementRect.top}px`;
-      highlightOverlay.style.width = `${rect.width}px`;
-      highlightOverlay.style.height = `${rect.height}px`;
-    }
-  } catch (e) {
-    console.error('Error positioning highlight for contenteditable:', e); // Keep this as console.error - essential error
+function requestLint(element) {
+  const visible = element._harperVisible === true || !getVisibilityObserver();
+  if (visible || isFocused(element)) {
+    element._harperLintPending = false;
+    processElement(element);
+  } else {
+    // Until the first visibility report arrives, _harperVisible is undefined and the lint waits for it
+    element._harperLintPending = true;
   }
 }
 
 /**
- * Position the highlight overlay for an input or textarea element.
- * This is more challenging since we don't have direct access to text positions.
- * @param {HTMLElement} element - The input or textarea element.
- * @param {HTMLElement} highlightOverlay - The highlight overlay element.
- * @param {number} start - The start index of the text to highlight.
- * @param {number} end - The end index of the text to highlight.
+ * Hide a field's overlay or highlights while it is off screen, so it costs nothing to keep in sync.
+ * @param {HTMLElement} element - The field.
  */
-function positionHighlightInput(element, highlightOverlay, start, end) {
-  try {
-    // For input/textarea, we'll use a simpler approach - highlight the entire element
-    // and rely on the overlay system for positioning
-    
-    const rect = element.getBoundingClientRect();
-    const computed = window.getComputedStyle(element);
-    
-    // Set base styles based on the element
-    highlightOverlay.style.left = '0';
-    highlightOverlay.style.top = '0';
-    highlightOverlay.style.width = '100%';
-    highlightOverlay.style.height = '100%';
-    
-    // Position it absolutely within the existing overlay's parent
-    if (element._harperOverlay && element._harperOverlay.parentNode) {
-      element._harperOverlay.parentNode.appendChild(highlightOverlay);
-    } else {
-      // Fallback if no parent
-      document.body.appendChild(highlightOverlay);
-    }
-  } catch (e) {
-    console.error('Error positioning highlight for input:', e); // Keep this as console.error - essential error
+function suspendOverlay(element) {
+  if (element._harperSuspended) return;
+  element._harperSuspended = true;
+  if (element._harperOverlay) element._harperOverlay.style.display = 'none';
+  for (const { highlight, range } of element._harperHighlightRanges ?? []) {
+    highlight.delete(range);
+  }
+}
+
+/**
+ * Show a suspended field's overlay or highlights again.
+ * @param {HTMLElement} element - The field.
+ */
+function resumeOverlay(element) {
+  if (!element._harperSuspended) return;
+  element._harperSuspended = false;
+  if (element._harperOverlay) {
+    element._harperOverlay.style.display = '';
+    syncOverlay(element);
+  }
+  for (const { highlight, range } of element._harperHighlightRanges ?? []) {
+    highlight.add(range);
   }
 }
 
@@ -1082,10 +3379,12 @@ function positionHighlightInput(element, highlightOverlay, start, end) {
  * @param {HTMLElement} element - The target element.
  */
 function attachListeners(element) {
+  // Fields that are moved within the page keep their listeners
+  if (element._harperLifecycle) return;
+  const signal = getLifecycleSignal(element);
+
   element.setAttribute('spellcheck', 'false');
-  if (!element.matches('[contenteditable="true"]')) {
-    ensureOverlay(element);
-  }
+  observeVisibility(element);
   debugLog(`⌨️ Attaching input event listener to ${element.tagName}`);
 
   // Debounce timer for general processing
@@ -1094,6 +3393,9 @@ function attachListeners(element) {
 
   // Use the 'input' event for robust handling of corrections and reversions
   element.addEventListener('input', (e) => {
+    // Events from our own replacements (see applyTextReplacement)
+    if (element._harperReplacing) return;
+
     // Clear any pending general processing
     if (processTimeout) clearTimeout(processTimeout);
 
@@ -1147,7 +3449,7 @@ function attachListeners(element) {
        debugLog("🏃 Running scheduled general processing");
        processElement(element);
      }, debounceTime);
-  }, { passive: true }); // Input events don't need to prevent default
+  }, { passive: true, signal }); // Input events don't need to prevent default
   
   // Process on blur (ensure any pending debounced processing is cleared)
   element.addEventListener('blur', () => {
@@ -1158,15 +3460,26 @@ function attachListeners(element) {
     // but processing again on blur ensures the latest state is checked.
     debugLog("🏃 Processing element on blur");
     processElement(element);
-  }, { passive: true }); // Blur events don't need to prevent default
+  }, { passive: true, signal }); // Blur events don't need to prevent default
 
   // For contenteditable elements, also process on paste events
-  if (element.matches('[contenteditable="true"]')) {
+  if (isContentEditableField(element)) {
     element.addEventListener('paste', () => {
       // Short delay to allow paste to complete
       setTimeout(() => processElement(element), 10);
-    }, { passive: true });
+    }, { passive: true, signal });
   }
+  // Remember the last focused field so the popup can target it,
+  // and check it now if it was deferred (e.g. focused through a hidden label)
+  element.addEventListener('focus', () => {
+    window._harperLastFocusedElement = new WeakRef(element);
+    // Popup per-field commands are sent to the frame that had focus last
+    chrome.runtime.sendMessage({ type: 'harper-field-focused' }).catch((e) => {
+      debugWarn('Failed to report field focus:', e);
+    });
+    if (element._harperLintPending) requestLint(element);
+  }, { passive: true, signal });
+
   attachContextMenu(element);
   // No longer attaching mouseover listeners
 }
@@ -1174,77 +3487,68 @@ function attachListeners(element) {
 /**
  * Initialize the spell-checker by attaching listeners to existing target elements
  * (inputs, textareas, contenteditable elements) and setting up a MutationObserver
- * to handle elements added dynamically.
+ * to handle elements added dynamically. Open shadow roots and same-origin iframes
+ * are scanned too.
  */
 function scanDocument(doc) {
-  const targetSelectors = 'input[type="text"], textarea, [contenteditable="true"]';
-  window.harperReady.then(() => {
-    try {
-      doc.querySelectorAll(targetSelectors).forEach(element => {
-        attachListeners(element);
-        element.style.border = window._showDebugBorder ? '2px dashed orange' : 'none';
-        processElement(element);
-      });
-    } catch (e) {
-      // ignore
-    }
-
-    // Set up a MutationObserver to handle dynamically added elements
-    const elementObserver = new MutationObserver(mutations => {
-      for (const mutation of mutations) {
-        for (const node of mutation.addedNodes) {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            if (node.matches(targetSelectors)) {
-              attachListeners(node);
-              node.style.border = window._showDebugBorder ? '2px dashed orange' : 'none';
-              processElement(node);
-            }
-            node.querySelectorAll?.(targetSelectors).forEach(el => {
-              attachListeners(el);
-              el.style.border = window._showDebugBorder ? '2px dashed orange' : 'none';
-              processElement(el);
-            });
-          }
-        }
-      }
-    });
-    elementObserver.observe(doc.body, { childList: true, subtree: true });
-  });
-
-  // Recursively scan accessible iframes
-  try {
-    doc.querySelectorAll('iframe').forEach((iframe) => {
-      try {
-        const childDoc = iframe.contentDocument;
-        if (childDoc) {
-          scanDocument(childDoc);
-        }
-      } catch (e) {
-        // ignore cross-origin
-      }
-    });
-  } catch (e) {
-    // ignore
-  }
+  watchEditingHosts(doc);
+  scanRoot(doc);
 }
 
 function init() {
   // Load all settings from storage
-  chrome.storage?.local.get(['showDebugBorder', 'autoCorrectEnabled', 'showDebugMessages'], (data) => {
+  chrome.storage?.local.get(['showDebugBorder', 'autoCorrectEnabled', 'showDebugMessages', 'siteLanguages', 'detectEnglish', 'maskedTokens', 'ignorePatterns', 'theme', 'fieldRules', 'siteFieldSelectors'], (data) => {
     window._showDebugBorder = data.showDebugBorder ?? false; // default OFF
     window._autoCorrectEnabled = data.autoCorrectEnabled ?? false; // default OFF
     window._showDebugMessages = data.showDebugMessages ?? false; // Added, default OFF
+    window._harperSiteLanguage = data.siteLanguages?.[getSiteHostname()] ?? null; // default auto-detect
+    window._harperDetectEnglish = data.detectEnglish ?? true; // default ON
+    window._harperMaskedTokens = data.maskedTokens ?? {}; // default: every token class masked
+    window._harperIgnorePatterns = compileIgnorePatterns(data.ignorePatterns);
+    window._harperTheme = data.theme ?? createDefaultTheme();
+    window._harperFieldRules = compileFieldRules(data.fieldRules, data.siteFieldSelectors);
+    updateHighlightStyles();
 
     debugLog("Initialized settings:", {
       showDebugBorder: window._showDebugBorder,
       autoCorrectEnabled: window._autoCorrectEnabled,
-      showDebugMessages: window._showDebugMessages
+      showDebugMessages: window._showDebugMessages,
+      siteLanguage: window._harperSiteLanguage,
+      detectEnglish: window._harperDetectEnglish,
+      maskedTokens: window._harperMaskedTokens,
+      ignorePatterns: window._harperIgnorePatterns.length,
+      fieldRules: window._harperFieldRules
     });
 
     scanDocument(document);
   });
 }
 
+/**
+ * Re-process every element we are tracking, e.g. after the engine configuration changed.
+ * Cached results came from the old configuration, so the cache is dropped first
+ * unless only client-side filtering (such as masking) changed.
+ * @param {boolean} [clearCache=true] - Whether cached lint results are outdated.
+ */
+function relintAll(clearCache = true) {
+  if (clearCache) window._harperLintCache.clear();
+  window._harperElements?.forEach(element => {
+    if (element.isConnected) requestLint(element);
+  });
+}
+
+/**
+ * Get the field that popup commands should act on: the focused field if there is one,
+ * otherwise the field that was focused last.
+ * @returns {HTMLElement|null} - The target element.
+ */
+function getPopupTargetElement() {
+  const active = getDeepActiveElement();
+  if (active && window._harperElements?.has(active)) return active;
+  const last = window._harperLastFocusedElement?.deref();
+  return last && last.isConnected ? last : null;
+}
+
 // No need to expose functions globally - keep them private to avoid polluting global namespace
 
 // ============================================================================
@@ -1257,15 +3561,21 @@ document.addEventListener(
   'contextmenu',
   (e) => {
     try {
+      // Events from inside shadow roots are retargeted to the host; use the real target
+      const eventTarget = getEventTarget(e);
+
       // First priority: Check if clicking on an error span in an overlay
-      if (e.target.closest('.harper-error')) {
+      if (eventTarget.closest('.harper-error')) {
         e.preventDefault();
         e.stopImmediatePropagation();
         
-        const span = e.target.closest('.harper-error');
-        const error = {
-          start: Number(span.getAttribute('data-start')),
-          end: Number(span.getAttribute('data-end')),
+        const span = eventTarget.closest('.harper-error');
+        const start = Number(span.getAttribute('data-start'));
+        const end = Number(span.getAttribute('data-end'));
+        let error = {
+          start: start,
+          end: end,
+          kind: span.getAttribute('data-kind'),
           suggestions: JSON.parse(decodeURIComponent(span.getAttribute('data-suggestions')))
         };
         
@@ -1274,17 +3584,19 @@ document.addEventListener(
         
         // First check if we're in an overlay
         const overlay = span.closest('.harper-overlay');
-        if (overlay) {
+        if (overlay && window._harperElements) {
           // Find the element this overlay is for
-          const parent = overlay.parentNode;
-          container = parent.querySelector('input[type="text"], textarea, [contenteditable="true"]');
+          container = [...window._harperElements].find(element => element._harperOverlay === overlay);
         }
         
         if (!container) {
           // Fallback to old method
-          container = span.closest('[contenteditable="true"], textarea, input') || span.parentElement;
+          container = findTrackedField(span) || span.parentElement;
         }
         
+        // Prefer the full error details recorded for the element
+        error = window._harperErrorMap.get(container)?.find(err => err.start === start && err.end === end) ?? error;
+        
         showTooltip(e, container, error);
         return;
       }
@@ -1292,8 +3604,8 @@ document.addEventListener(
       // Second priority: Check registered elements for errors at cursor position
       if (window._harperElements) {
         // Find the element under the cursor
-        const target = e.target.closest('input[type="text"], textarea, [contenteditable="true"]');
-        if (target && window._harperElements.has(target)) {
+        const target = findTrackedField(eventTarget);
+        if (target) {
           if (handleContextMenu(e, target)) {
             return;
           }
@@ -1301,7 +3613,7 @@ document.addEventListener(
       }
       
       // Allow normal right-click behavior on text inputs
-      if (e.target.matches('input[type="text"], textarea, [contenteditable="true"]')) {
+      if (findTrackedField(eventTarget)) {
         return;
       }
     } catch (err) {
@@ -1314,8 +3626,8 @@ document.addEventListener(
 // Additional mouseup handler for when contextmenu is blocked
 document.addEventListener('mouseup', (e) => {
   if (e.button === 2 && window._harperElements) {
-    const target = e.target.closest('input[type="text"], textarea, [contenteditable="true"]');
-    if (target && window._harperElements.has(target)) {
+    const target = findTrackedField(getEventTarget(e));
+    if (target) {
       setTimeout(() => handleContextMenu(e, target), 10);
     }
   }
@@ -1343,7 +3655,6 @@ chrome.runtime?.onMessage.addListener((message, sender, sendResponse) => {
       if (div.style.position === 'absolute' && div.style.zIndex === '9999') {
         const parent = div.parentNode?.querySelector('[contenteditable], textarea, input[type="text"]');
         if (window._showDebugBorder === false) {
-          div.style.border = 'none';
           if (parent) {
             parent.style.outline = 'none';
             parent.style.border = 'none';
@@ -1352,14 +3663,12 @@ chrome.runtime?.onMessage.addListener((message, sender, sendResponse) => {
           if (parent) {
             parent.style.outline = '';
             parent.style.border = '';
-            const computed = window.getComputedStyle(parent);
-            div.style.border = computed.border;
-          } else {
-            div.style.border = '';
           }
         }
       }
     });
+    // Overlay borders keep their widths (they are part of the mirrored layout); only their color changes
+    window._harperElements?.forEach(element => syncOverlay(element));
   } else if (message.type === 'toggle-auto-correct') {
     // Update auto-correct state
     window._autoCorrectEnabled = message.enabled;
@@ -1369,5 +3678,64 @@ chrome.runtime?.onMessage.addListener((message, sender, sendResponse) => {
     window._showDebugMessages = message.enabled;
     // Log this change regardless of the new state, so we know it happened
     console.log('Debug messages ' + (message.enabled ? 'enabled' : 'disabled'));
+  } else if (message.type === 'toggle-detect-english') {
+    // Update non-English detection and re-check open fields
+    window._harperDetectEnglish = message.enabled;
+    debugLog('Non-English detection ' + (message.enabled ? 'enabled' : 'disabled'));
+    relintAll();
+  } else if (message.type === 'get-field-language') {
+    // Report the mode of the current field to the popup
+    const element = getPopupTargetElement();
+    sendResponse({
+      hasField: !!element,
+      override: element?._harperLanguageOverride ?? null,
+      detected: element ? getElementLanguage(element) : null,
+      siteLanguage: window._harperSiteLanguage,
+      detectEnglish: window._harperDetectEnglish
+    });
+  } else if (message.type === 'set-field-language') {
+    // Force (or reset to auto-detect) the mode of the current field
+    const element = getPopupTargetElement();
+    if (element) {
+      element._harperLanguageOverride = message.language || null;
+      debugLog(`Field language set to ${element._harperLanguageOverride ?? 'auto'}`);
+      processElement(element);
+    }
+    sendResponse({ hasField: !!element, detected: element ? getElementLanguage(element) : null });
+  } else if (message.type === 'set-site-language') {
+    // Per-site mode changed from the popup
+    if (message.hostname === getSiteHostname()) {
+      window._harperSiteLanguage = message.language || null;
+      relintAll();
+    }
+  } else if (message.type === 'set-ignored-text') {
+    // Masked token classes or ignore patterns changed in the options
+    window._harperMaskedTokens = message.maskedTokens ?? {};
+    window._harperIgnorePatterns = compileIgnorePatterns(message.ignorePatterns);
+    relintAll(false);
+  } else if (message.type === 'set-field-rules') {
+    // Field detection rules or this site's selectors changed in the options
+    window._harperFieldRules = compileFieldRules(message.fieldRules, message.siteFieldSelectors);
+    applyFieldRules();
+  } else if (message.type === 'set-theme') {
+    // Underline or tooltip theme changed in the options
+    window._harperTheme = message.theme ?? createDefaultTheme();
+    updateHighlightStyles();
+    relintAll(false);
+  } else if (message.type === 'harper-frame-totals') {
+    // Error totals of every frame in the tab (sent to the top frame only)
+    window._harperFrameTotals = { total: message.total, frames: message.frames };
+    debugLog(`🧮 ${message.total} issues across ${Object.keys(message.frames).length} frames`);
+  } else if (message.type === 'harper-convert-case') {
+    // Context menu entry or keyboard shortcut; only the frame with the focused field acts
+    const active = getDeepActiveElement();
+    if (document.hasFocus() && active && window._harperElements?.has(active)) {
+      convertCase(active, message.mode);
+    }
+  } else if (message.type === 'harper-relint') {
+    // The shared engine changed (e.g. a new dialect), so re-check open fields
+    if (!message.hostname || message.hostname === getSiteHostname()) {
+      relintAll();
+    }
   }
 });
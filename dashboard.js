@@ -0,0 +1,158 @@
+document.addEventListener('DOMContentLoaded', () => {
+  const rangeSelect = document.getElementById('rangeSelect');
+  const startDate = document.getElementById('startDate');
+  const endDate = document.getElementById('endDate');
+  const statsStatus = document.getElementById('statsStatus');
+
+  /**
+   * Get the local calendar day of a date as 'YYYY-MM-DD'.
+   * @param {Date} date - The date.
+   * @returns {string} - The day key.
+   */
+  function toDayKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Work out the requested day range from the range controls.
+   * @returns {Object} - { startDay, endDay }; missing values mean "all history" / "today".
+   */
+  function getRange() {
+    const today = new Date();
+    if (rangeSelect.value === 'all') return {};
+    if (rangeSelect.value === 'custom') {
+      return { startDay: startDate.value || undefined, endDay: endDate.value || undefined };
+    }
+    const start = new Date(today);
+    start.setDate(start.getDate() - Number(rangeSelect.value) + 1);
+    return { startDay: toDayKey(start), endDay: toDayKey(today) };
+  }
+
+  /**
+   * Fill a table body with rows of cell values.
+   * @param {string} tableId - The table's id.
+   * @param {Array<Array>} rows - The rows to show.
+   * @param {string} emptyText - Shown when there are no rows.
+   */
+  function fillTable(tableId, rows, emptyText) {
+    const body = document.querySelector(`#${tableId} tbody`);
+    body.innerHTML = '';
+    if (rows.length === 0) {
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.colSpan = body.closest('table').querySelectorAll('th').length;
+      td.className = 'hint';
+      td.textContent = emptyText;
+      tr.appendChild(td);
+      body.appendChild(tr);
+      return;
+    }
+    for (const row of rows) {
+      const tr = document.createElement('tr');
+      for (const value of row) {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      }
+      body.appendChild(tr);
+    }
+  }
+
+  /**
+   * Draw one row per day with a bar for lints found and one for lints fixed.
+   * @param {Array} days - [{ day, found, fixed }].
+   */
+  function renderDayChart(days) {
+    const chart = document.getElementById('dayChart');
+    chart.innerHTML = '';
+    const max = Math.max(1, ...days.map(d => Math.max(d.found, d.fixed)));
+
+    // Newest day first
+    for (const day of [...days].reverse()) {
+      const row = document.createElement('div');
+      row.className = 'day-row';
+      row.title = `${day.found} found, ${day.fixed} fixed`;
+
+      const label = document.createElement('div');
+      label.className = 'day-label';
+      label.textContent = day.day;
+
+      const bars = document.createElement('div');
+      bars.className = 'bars';
+      for (const kind of ['found', 'fixed']) {
+        const bar = document.createElement('div');
+        bar.className = `bar ${kind}`;
+        bar.style.width = `${(day[kind] / max) * 100}%`;
+        bars.appendChild(bar);
+      }
+
+      row.appendChild(label);
+      row.appendChild(bars);
+      chart.appendChild(row);
+    }
+  }
+
+  /**
+   * Render a summary returned by the background service worker.
+   * @param {Object} summary - See getStatsSummary in background.js.
+   */
+  function renderSummary(summary) {
+    const { totals, days, foundKinds, fixedKinds, misspelled } = summary;
+    document.getElementById('totalFound').textContent = totals.found;
+    document.getElementById('totalFixed').textContent = totals.fixed;
+    document.getElementById('fixRate').textContent = totals.found > 0
+      ? `${Math.round(Math.min(1, totals.fixed / totals.found) * 100)}%`
+      : '–';
+
+    renderDayChart(days);
+
+    const kinds = [...new Set([...Object.keys(foundKinds), ...Object.keys(fixedKinds)])]
+      .map(kind => [kind, foundKinds[kind] ?? 0, fixedKinds[kind] ?? 0])
+      .sort((a, b) => (b[1] + b[2]) - (a[1] + a[2]))
+      .slice(0, 10);
+    fillTable('kindTable', kinds, 'No issues in this range.');
+
+    const words = Object.entries(misspelled)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 15);
+    fillTable('misspelledTable', words, 'No misspellings fixed in this range.');
+
+    const first = days[0]?.day;
+    const last = days[days.length - 1]?.day;
+    statsStatus.textContent = first ? `Showing ${first} to ${last}.` : 'No statistics yet.';
+  }
+
+  /**
+   * Load and render the statistics for the selected range.
+   */
+  function loadStats() {
+    const { startDay, endDay } = getRange();
+    statsStatus.textContent = 'Loading statistics…';
+    chrome.runtime.sendMessage({ type: 'harper-get-stats', startDay, endDay }).then((response) => {
+      if (!response?.ok) throw new Error(response?.error);
+      renderSummary(response.summary);
+    }).catch((error) => {
+      console.error('Failed to load statistics:', error); // Keep this as console.error - essential error
+      statsStatus.textContent = 'Could not load statistics from the Harper engine.';
+    });
+  }
+
+  // Range handlers
+  rangeSelect.addEventListener('change', () => {
+    const custom = rangeSelect.value === 'custom';
+    startDate.hidden = !custom;
+    endDate.hidden = !custom;
+    if (custom && !startDate.value) {
+      const start = new Date();
+      start.setDate(start.getDate() - 29);
+      startDate.value = toDayKey(start);
+      endDate.value = toDayKey(new Date());
+    }
+    loadStats();
+  });
+  startDate.addEventListener('change', loadStats);
+  endDate.addEventListener('change', loadStats);
+
+  loadStats();
+});
@@ -0,0 +1,612 @@
+import {
+  LINT_KINDS,
+  PALETTES,
+  TOOLTIP_THEMES,
+  UNDERLINE_STYLES,
+  UNDERLINE_THICKNESSES,
+  createDefaultTheme,
+  resolveKindStyle,
+  getTextDecoration
+} from './themes.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+  const ruleList = document.getElementById('ruleList');
+  const ruleFilter = document.getElementById('ruleFilter');
+  const ruleSummary = document.getElementById('ruleSummary');
+  const resetRulesButton = document.getElementById('resetRules');
+
+  const paletteSelect = document.getElementById('paletteSelect');
+  const tooltipThemeSelect = document.getElementById('tooltipThemeSelect');
+  const kindList = document.getElementById('kindList');
+  const resetAppearanceButton = document.getElementById('resetAppearance');
+  const tokenList = document.getElementById('tokenList');
+  const ignorePatternsInput = document.getElementById('ignorePatterns');
+  const patternStatus = document.getElementById('patternStatus');
+  const fieldRuleList = document.getElementById('fieldRuleList');
+  const siteHostnameInput = document.getElementById('siteHostname');
+  const siteIncludeInput = document.getElementById('siteInclude');
+  const siteExcludeInput = document.getElementById('siteExclude');
+  const saveSiteSelectorsButton = document.getElementById('saveSiteSelectors');
+  const siteStatus = document.getElementById('siteStatus');
+  const siteList = document.getElementById('siteList');
+
+  // Rules as reported by the shared engine: [{ name, description, enabled, defaultEnabled }]
+  let rules = [];
+
+  // Token classes the content script can mask (keys match MASK_TOKEN_PATTERNS in content-script.js)
+  const TOKEN_CLASSES = [
+    { key: 'urls', label: 'Links', description: 'https://example.com, www.example.com' },
+    { key: 'emails', label: 'Email addresses', description: 'name@example.com' },
+    { key: 'mentions', label: 'Mentions', description: '@handle, @org/team' },
+    { key: 'hashtags', label: 'Hashtags and channels', description: '#general, #123' },
+    { key: 'code', label: 'Code', description: '`inline code` and ``` fenced blocks' },
+    { key: 'identifiers', label: 'Identifiers', description: 'snake_case, camelCase, functionCalls()' },
+    { key: 'paths', label: 'File paths', description: '/var/log/syslog, ~/notes.txt, src/app.js, C:\\Users' }
+  ];
+
+  // Built-in field rules (keys match FIELD_RULES in content-script.js)
+  const FIELD_RULES = [
+    { key: 'textInputs', label: 'Text inputs', description: '<input type="text">' },
+    { key: 'untypedInputs', label: 'Inputs without a type', description: '<input>' },
+    { key: 'textareas', label: 'Text areas', description: '<textarea>' },
+    { key: 'contentEditable', label: 'Rich text editors', description: 'contenteditable, contenteditable="true" and designMode documents' },
+    { key: 'plaintextOnly', label: 'Plain text editors', description: 'contenteditable="plaintext-only"' },
+    { key: 'textboxes', label: 'Text box widgets', description: 'role="textbox" elements and the editor inside them' }
+  ];
+
+  // Field detection settings: { textboxes: false, ... } for disabled rules,
+  // and { [hostname]: { include: [], exclude: [] } } for site selectors
+  let fieldRules = {};
+  let siteFieldSelectors = {};
+
+  // Underline and tooltip theme (see themes.js)
+  let theme = createDefaultTheme();
+
+  // Masking settings: { urls: false, ... } for disabled classes, and the custom patterns
+  let maskedTokens = {};
+  let ignorePatterns = [];
+
+  /**
+   * Turn a rule name like "RepeatedWords" into "Repeated Words".
+   * @param {string} name - The rule's identifier.
+   * @returns {string} - A readable label.
+   */
+  function humanizeRuleName(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/([A-Z])([A-Z][a-z])/g, '$1 $2');
+  }
+
+  /**
+   * Save a rule's state. Only states that differ from Harper's default are stored.
+   * @param {Object} rule - The rule being toggled.
+   * @param {boolean} enabled - Whether the rule should run.
+   */
+  function saveRule(rule, enabled) {
+    chrome.storage.local.get(['lintConfig'], (data) => {
+      const lintConfig = data.lintConfig ?? {};
+      if (enabled === rule.defaultEnabled) {
+        delete lintConfig[rule.name];
+      } else {
+        lintConfig[rule.name] = enabled;
+      }
+      // The background service worker applies the config and re-checks all tabs
+      chrome.storage.local.set({ lintConfig: lintConfig });
+    });
+  }
+
+  /**
+   * Render the rule list, applying the current filter.
+   */
+  function renderRules() {
+    const filter = ruleFilter.value.trim().toLowerCase();
+    ruleList.innerHTML = '';
+
+    const visible = rules.filter(rule =>
+      !filter ||
+      rule.name.toLowerCase().includes(filter) ||
+      rule.description.toLowerCase().includes(filter)
+    );
+
+    for (const rule of visible) {
+      const row = document.createElement('div');
+      row.className = 'rule-row';
+
+      const text = document.createElement('div');
+      const name = document.createElement('div');
+      name.className = 'rule-name';
+      name.textContent = humanizeRuleName(rule.name);
+      name.title = rule.name;
+      if (rule.enabled !== rule.defaultEnabled) {
+        const modified = document.createElement('span');
+        modified.className = 'modified';
+        modified.textContent = 'modified';
+        name.appendChild(modified);
+      }
+      const description = document.createElement('div');
+      description.className = 'rule-description';
+      description.textContent = rule.description;
+      text.appendChild(name);
+      text.appendChild(description);
+
+      const label = document.createElement('label');
+      label.className = 'switch';
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = rule.enabled;
+      toggle.setAttribute('aria-label', humanizeRuleName(rule.name));
+      toggle.addEventListener('change', () => {
+        rule.enabled = toggle.checked;
+        saveRule(rule, toggle.checked);
+        renderRules();
+      });
+      const slider = document.createElement('span');
+      slider.className = 'slider';
+      label.appendChild(toggle);
+      label.appendChild(slider);
+
+      row.appendChild(text);
+      row.appendChild(label);
+      ruleList.appendChild(row);
+    }
+
+    const enabledCount = rules.filter(rule => rule.enabled).length;
+    ruleSummary.textContent = `${enabledCount} of ${rules.length} rules enabled` +
+      (filter ? ` · showing ${visible.length}` : '');
+  }
+
+  /**
+   * Fetch the rule list from the background service worker.
+   */
+  function loadRules() {
+    chrome.runtime.sendMessage({ type: 'harper-get-lint-rules' }).then((response) => {
+      rules = response?.rules ?? [];
+      renderRules();
+    }).catch((error) => {
+      console.error('Failed to load Harper rules:', error); // Keep this as console.error - essential error
+      ruleSummary.textContent = 'Could not load rules from the Harper engine.';
+    });
+  }
+
+  /**
+   * Save the masking settings and send them to all tabs.
+   */
+  function saveIgnoredText() {
+    chrome.storage.local.set({ maskedTokens: maskedTokens, ignorePatterns: ignorePatterns }, () => {
+      chrome.tabs.query({}, (tabs) => {
+        for (const tab of tabs) {
+          chrome.tabs.sendMessage(tab.id, {
+            type: 'set-ignored-text',
+            maskedTokens: maskedTokens,
+            ignorePatterns: ignorePatterns
+          }).catch((error) => {
+            // Ignore errors if no content script is present in the tab
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Render a toggle for every maskable token class.
+   */
+  function renderTokenClasses() {
+    tokenList.innerHTML = '';
+    for (const tokenClass of TOKEN_CLASSES) {
+      const row = document.createElement('div');
+      row.className = 'rule-row';
+
+      const text = document.createElement('div');
+      const name = document.createElement('div');
+      name.className = 'rule-name';
+      name.textContent = tokenClass.label;
+      const description = document.createElement('div');
+      description.className = 'rule-description';
+      description.textContent = tokenClass.description;
+      text.appendChild(name);
+      text.appendChild(description);
+
+      const label = document.createElement('label');
+      label.className = 'switch';
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = maskedTokens[tokenClass.key] !== false;
+      toggle.setAttribute('aria-label', `Ignore ${tokenClass.label.toLowerCase()}`);
+      toggle.addEventListener('change', () => {
+        // Only disabled classes are stored; everything is masked by default
+        if (toggle.checked) {
+          delete maskedTokens[tokenClass.key];
+        } else {
+          maskedTokens[tokenClass.key] = false;
+        }
+        saveIgnoredText();
+      });
+      const slider = document.createElement('span');
+      slider.className = 'slider';
+      label.appendChild(toggle);
+      label.appendChild(slider);
+
+      row.appendChild(text);
+      row.appendChild(label);
+      tokenList.appendChild(row);
+    }
+  }
+
+  /**
+   * Validate the custom patterns, saving them if they all compile.
+   */
+  function updateIgnorePatterns() {
+    const patterns = ignorePatternsInput.value.split('\n').map(line => line.trim()).filter(Boolean);
+    const invalid = patterns.filter(pattern => {
+      try {
+        new RegExp(pattern, 'u');
+        return false;
+      } catch (e) {
+        return true;
+      }
+    });
+
+    if (invalid.length > 0) {
+      patternStatus.textContent = `Not saved: invalid pattern ${invalid.map(pattern => `"${pattern}"`).join(', ')}`;
+      patternStatus.classList.add('error');
+      return;
+    }
+    patternStatus.textContent = patterns.length ? `${patterns.length} pattern${patterns.length === 1 ? '' : 's'} saved` : '';
+    patternStatus.classList.remove('error');
+    ignorePatterns = patterns;
+    saveIgnoredText();
+  }
+
+  /**
+   * Load the masking settings from storage.
+   */
+  function loadIgnoredText() {
+    chrome.storage.local.get(['maskedTokens', 'ignorePatterns'], (data) => {
+      maskedTokens = data.maskedTokens ?? {};
+      ignorePatterns = data.ignorePatterns ?? [];
+      ignorePatternsInput.value = ignorePatterns.join('\n');
+      renderTokenClasses();
+    });
+  }
+
+  /**
+   * Save the field detection settings and send them to all tabs.
+   */
+  function saveFieldRules() {
+    chrome.storage.local.set({ fieldRules: fieldRules, siteFieldSelectors: siteFieldSelectors }, () => {
+      chrome.tabs.query({}, (tabs) => {
+        for (const tab of tabs) {
+          chrome.tabs.sendMessage(tab.id, {
+            type: 'set-field-rules',
+            fieldRules: fieldRules,
+            siteFieldSelectors: siteFieldSelectors
+          }).catch((error) => {
+            // Ignore errors if no content script is present in the tab
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Render a toggle for every built-in field rule.
+   */
+  function renderFieldRules() {
+    fieldRuleList.innerHTML = '';
+    for (const fieldRule of FIELD_RULES) {
+      const row = document.createElement('div');
+      row.className = 'rule-row';
+
+      const text = document.createElement('div');
+      const name = document.createElement('div');
+      name.className = 'rule-name';
+      name.textContent = fieldRule.label;
+      const description = document.createElement('div');
+      description.className = 'rule-description';
+      description.textContent = fieldRule.description;
+      text.appendChild(name);
+      text.appendChild(description);
+
+      const label = document.createElement('label');
+      label.className = 'switch';
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = fieldRules[fieldRule.key] !== false;
+      toggle.setAttribute('aria-label', `Check ${fieldRule.label.toLowerCase()}`);
+      toggle.addEventListener('change', () => {
+        // Only disabled rules are stored; every rule is on by default
+        if (toggle.checked) {
+          delete fieldRules[fieldRule.key];
+        } else {
+          fieldRules[fieldRule.key] = false;
+        }
+        saveFieldRules();
+      });
+      const slider = document.createElement('span');
+      slider.className = 'slider';
+      label.appendChild(toggle);
+      label.appendChild(slider);
+
+      row.appendChild(text);
+      row.appendChild(label);
+      fieldRuleList.appendChild(row);
+    }
+  }
+
+  /**
+   * Render a row per site with selectors, with buttons to edit or remove them.
+   */
+  function renderSites() {
+    siteList.innerHTML = '';
+    for (const [hostname, selectors] of Object.entries(siteFieldSelectors).sort(([a], [b]) => a.localeCompare(b))) {
+      const row = document.createElement('div');
+      row.className = 'rule-row';
+
+      const text = document.createElement('div');
+      const name = document.createElement('div');
+      name.className = 'rule-name';
+      name.textContent = hostname;
+      const description = document.createElement('div');
+      description.className = 'rule-description';
+      description.textContent = `${selectors.include.length} included · ${selectors.exclude.length} excluded`;
+      text.appendChild(name);
+      text.appendChild(description);
+
+      const actions = document.createElement('div');
+      actions.className = 'section-actions';
+      const editButton = document.createElement('button');
+      editButton.className = 'button';
+      editButton.textContent = 'Edit';
+      editButton.addEventListener('click', () => {
+        siteHostnameInput.value = hostname;
+        siteIncludeInput.value = selectors.include.join('\n');
+        siteExcludeInput.value = selectors.exclude.join('\n');
+        siteStatus.textContent = '';
+        siteStatus.classList.remove('error');
+      });
+      const removeButton = document.createElement('button');
+      removeButton.className = 'button';
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', () => {
+        delete siteFieldSelectors[hostname];
+        saveFieldRules();
+        renderSites();
+      });
+      actions.appendChild(editButton);
+      actions.appendChild(removeButton);
+
+      row.appendChild(text);
+      row.appendChild(actions);
+      siteList.appendChild(row);
+    }
+  }
+
+  /**
+   * Check that a CSS selector parses.
+   * @param {string} selector - The selector.
+   * @returns {boolean} - True if the selector is valid.
+   */
+  function isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Validate the site editor, saving its selectors if they all parse.
+   * Saving a site with no selectors removes it.
+   */
+  function updateSiteSelectors() {
+    // Accept a pasted URL as well as a bare hostname
+    let hostname = siteHostnameInput.value.trim().toLowerCase();
+    try {
+      hostname = new URL(hostname.includes('://') ? hostname : `https://${hostname}`).hostname;
+    } catch (e) {
+      hostname = '';
+    }
+    const include = siteIncludeInput.value.split('\n').map(line => line.trim()).filter(Boolean);
+    const exclude = siteExcludeInput.value.split('\n').map(line => line.trim()).filter(Boolean);
+    const invalid = [...include, ...exclude].filter(selector => !isValidSelector(selector));
+
+    siteStatus.classList.add('error');
+    if (!hostname) {
+      siteStatus.textContent = 'Not saved: enter a site, e.g. example.com';
+      return;
+    }
+    if (invalid.length > 0) {
+      siteStatus.textContent = `Not saved: invalid selector ${invalid.map(selector => `"${selector}"`).join(', ')}`;
+      return;
+    }
+    siteStatus.classList.remove('error');
+
+    if (include.length === 0 && exclude.length === 0) {
+      delete siteFieldSelectors[hostname];
+      siteStatus.textContent = `Removed ${hostname}`;
+    } else {
+      siteFieldSelectors[hostname] = { include: include, exclude: exclude };
+      siteStatus.textContent = `Saved ${hostname}`;
+    }
+    siteHostnameInput.value = hostname;
+    saveFieldRules();
+    renderSites();
+  }
+
+  /**
+   * Load the field detection settings from storage.
+   */
+  function loadFieldRules() {
+    chrome.storage.local.get(['fieldRules', 'siteFieldSelectors'], (data) => {
+      fieldRules = data.fieldRules ?? {};
+      siteFieldSelectors = data.siteFieldSelectors ?? {};
+      renderFieldRules();
+      renderSites();
+    });
+  }
+
+  /**
+   * Save the theme and send it to all tabs.
+   */
+  function saveTheme() {
+    chrome.storage.local.set({ theme: theme }, () => {
+      chrome.tabs.query({}, (tabs) => {
+        for (const tab of tabs) {
+          chrome.tabs.sendMessage(tab.id, {
+            type: 'set-theme',
+            theme: theme
+          }).catch((error) => {
+            // Ignore errors if no content script is present in the tab
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Change one property of a kind's underline. Values equal to the palette's are not stored.
+   * @param {string} kind - The lint kind.
+   * @param {string} property - 'color', 'style' or 'thickness'.
+   * @param {string} value - The new value.
+   */
+  function setKindProperty(kind, property, value) {
+    const paletteValue = resolveKindStyle({ palette: theme.palette }, kind)[property];
+    const override = { ...theme.kinds[kind] };
+    if (value.toLowerCase() === paletteValue.toLowerCase()) {
+      delete override[property];
+    } else {
+      override[property] = value;
+    }
+    if (Object.keys(override).length > 0) {
+      theme.kinds[kind] = override;
+    } else {
+      delete theme.kinds[kind];
+    }
+    saveTheme();
+    renderKinds();
+  }
+
+  /**
+   * Create a select element for a list of values.
+   * @param {Array<string>} values - The options.
+   * @param {string} selected - The selected value.
+   * @param {string} label - Accessible label.
+   * @returns {HTMLSelectElement} - The select element.
+   */
+  function createSelect(values, selected, label) {
+    const select = document.createElement('select');
+    select.className = 'select';
+    select.setAttribute('aria-label', label);
+    for (const value of values) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    }
+    select.value = selected;
+    return select;
+  }
+
+  /**
+   * Render a row per lint kind with a preview and color, style and thickness controls.
+   */
+  function renderKinds() {
+    paletteSelect.value = theme.palette;
+    tooltipThemeSelect.value = theme.tooltip;
+    kindList.innerHTML = '';
+
+    for (const kind of LINT_KINDS) {
+      const underline = resolveKindStyle(theme, kind);
+      const row = document.createElement('div');
+      row.className = 'rule-row';
+
+      const text = document.createElement('div');
+      const name = document.createElement('div');
+      name.className = 'rule-name';
+      name.textContent = humanizeRuleName(kind);
+      if (theme.kinds[kind]) {
+        const modified = document.createElement('span');
+        modified.className = 'modified';
+        modified.textContent = 'modified';
+        name.appendChild(modified);
+      }
+      const preview = document.createElement('div');
+      preview.className = 'kind-preview';
+      preview.textContent = 'The quick brown fox';
+      preview.style.textDecoration = getTextDecoration(underline);
+      text.appendChild(name);
+      text.appendChild(preview);
+
+      const controls = document.createElement('div');
+      controls.className = 'kind-controls';
+      const color = document.createElement('input');
+      color.type = 'color';
+      color.value = underline.color;
+      color.setAttribute('aria-label', `${humanizeRuleName(kind)} color`);
+      color.addEventListener('change', () => setKindProperty(kind, 'color', color.value));
+      const style = createSelect(UNDERLINE_STYLES, underline.style, `${humanizeRuleName(kind)} style`);
+      style.addEventListener('change', () => setKindProperty(kind, 'style', style.value));
+      const thickness = createSelect(UNDERLINE_THICKNESSES, underline.thickness, `${humanizeRuleName(kind)} thickness`);
+      thickness.addEventListener('change', () => setKindProperty(kind, 'thickness', thickness.value));
+      controls.appendChild(color);
+      controls.appendChild(style);
+      controls.appendChild(thickness);
+
+      row.appendChild(text);
+      row.appendChild(controls);
+      kindList.appendChild(row);
+    }
+  }
+
+  /**
+   * Fill the palette and tooltip selects and load the theme from storage.
+   */
+  function loadTheme() {
+    for (const [value, palette] of Object.entries(PALETTES)) {
+      paletteSelect.add(new Option(palette.label, value));
+    }
+    for (const [value, tooltipTheme] of Object.entries(TOOLTIP_THEMES)) {
+      tooltipThemeSelect.add(new Option(tooltipTheme.label, value));
+    }
+    chrome.storage.local.get(['theme'], (data) => {
+      theme = { ...createDefaultTheme(), ...data.theme };
+      renderKinds();
+    });
+  }
+
+  ruleFilter.addEventListener('input', renderRules);
+
+  paletteSelect.addEventListener('change', () => {
+    theme.palette = paletteSelect.value;
+    saveTheme();
+    renderKinds();
+  });
+
+  tooltipThemeSelect.addEventListener('change', () => {
+    theme.tooltip = tooltipThemeSelect.value;
+    saveTheme();
+  });
+
+  // Drop the per-kind changes so the palette applies as designed
+  resetAppearanceButton.addEventListener('click', () => {
+    theme.kinds = {};
+    saveTheme();
+    renderKinds();
+  });
+  ignorePatternsInput.addEventListener('change', updateIgnorePatterns);
+  saveSiteSelectorsButton.addEventListener('click', updateSiteSelectors);
+
+  // Reset handler: drop all overrides so Harper's defaults apply again
+  resetRulesButton.addEventListener('click', () => {
+    chrome.storage.local.set({ lintConfig: {} }, () => {
+      rules.forEach(rule => {
+        rule.enabled = rule.defaultEnabled;
+      });
+      renderRules();
+    });
+  });
+
+  loadRules();
+  loadTheme();
+  loadIgnoredText();
+  loadFieldRules();
+});
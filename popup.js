@@ -2,12 +2,45 @@ document.addEventListener('DOMContentLoaded', () => {
   const debugToggle = document.getElementById('toggleDebug');
   const autoCorrectToggle = document.getElementById('toggleAutoCorrect');
   const debugMessagesToggle = document.getElementById('toggleDebugMessages'); // Added
+  const dialectSelect = document.getElementById('dialectSelect');
+  const detectEnglishToggle = document.getElementById('toggleDetectEnglish');
+  const fieldLanguageSelect = document.getElementById('fieldLanguageSelect');
+  const siteLanguageSelect = document.getElementById('siteLanguageSelect');
+  const fieldLanguageHint = document.getElementById('fieldLanguageHint');
+  const clearIgnoredButton = document.getElementById('clearIgnored');
 
   // Load saved toggle states
-  chrome.storage.local.get(['showDebugBorder', 'autoCorrectEnabled', 'showDebugMessages'], (data) => { // Added 'showDebugMessages'
+  chrome.storage.local.get(['showDebugBorder', 'autoCorrectEnabled', 'showDebugMessages', 'dialect', 'detectEnglish'], (data) => { // Added 'showDebugMessages'
     debugToggle.checked = data.showDebugBorder ?? false; // default OFF
     autoCorrectToggle.checked = data.autoCorrectEnabled ?? false; // default OFF
     debugMessagesToggle.checked = data.showDebugMessages ?? false; // Added, default OFF
+    dialectSelect.value = data.dialect ?? 'American'; // default American
+    detectEnglishToggle.checked = data.detectEnglish ?? true; // default ON
+  });
+
+  // Non-English detection toggle handler
+  detectEnglishToggle.addEventListener('change', () => {
+    const enabled = detectEnglishToggle.checked;
+    chrome.storage.local.set({ detectEnglish: enabled });
+
+    // Notify all tabs so they re-check their fields
+    chrome.tabs.query({}, (tabs) => {
+      for (const tab of tabs) {
+        chrome.tabs.sendMessage(tab.id, {
+          type: 'toggle-detect-english',
+          enabled: enabled
+        }).catch((error) => {
+          // Ignore errors if no content script is present in the tab
+        });
+      }
+    });
+  });
+
+  // Dialect selection handler
+  dialectSelect.addEventListener('change', () => {
+    const dialect = dialectSelect.value;
+    // The background service worker rebuilds the shared linter and re-checks all tabs
+    chrome.storage.local.set({ dialect: dialect });
   });
 
   // Debug border toggle handler
@@ -63,4 +96,118 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     });
   });
+
+  // Open the full settings page
+  document.getElementById('openOptions').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  // Open the statistics dashboard
+  document.getElementById('openDashboard').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+  });
+
+  // --- Markdown / plain text mode for the active tab ---
+
+  /**
+   * Show which mode the current field is linted in.
+   * @param {Object} [state] - The content script's response.
+   */
+  function showFieldLanguage(state) {
+    if (!state || !state.hasField) {
+      fieldLanguageSelect.disabled = true;
+      fieldLanguageHint.textContent = 'Click into a text field to set its mode.';
+      return;
+    }
+    fieldLanguageSelect.disabled = false;
+    fieldLanguageHint.textContent = `Current field is checked as ${state.detected === 'Markdown' ? 'Markdown' : 'plain text'}.`;
+  }
+
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    const tab = tabs[0];
+    let hostname = null;
+    try {
+      hostname = new URL(tab.url).hostname;
+    } catch (error) {
+      // No URL access for this tab (e.g. browser pages)
+    }
+
+    if (!tab || !hostname) {
+      fieldLanguageSelect.disabled = true;
+      siteLanguageSelect.disabled = true;
+      clearIgnoredButton.disabled = true;
+      return;
+    }
+
+    // Clear ignored issues handler: forget every dismissed issue on this site
+    clearIgnoredButton.title = `Forget issues ignored on ${hostname}`;
+    clearIgnoredButton.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'harper-clear-ignored-lints', site: hostname }).then(() => {
+        clearIgnoredButton.textContent = 'Ignored issues cleared';
+        clearIgnoredButton.disabled = true;
+      }).catch((error) => {
+        console.error('Failed to clear ignored issues:', error); // Keep this as console.error - essential error
+      });
+    });
+
+    // Per-field commands go to the frame whose field was focused last (fields can be in iframes)
+    const focusedFrame = chrome.runtime.sendMessage({ type: 'harper-get-focused-frame', tabId: tab.id })
+      .then(response => response?.frameId ?? 0)
+      .catch(() => 0);
+
+    // Load the current field's mode from the content script
+    focusedFrame.then(frameId =>
+      chrome.tabs.sendMessage(tab.id, { type: 'get-field-language' }, { frameId })
+    ).then((state) => {
+      fieldLanguageSelect.value = state?.override ?? '';
+      showFieldLanguage(state);
+    }).catch((error) => {
+      // Ignore errors if no content script is present in the tab
+      showFieldLanguage(null);
+    });
+
+    // Load the saved per-site mode
+    chrome.storage.local.get(['siteLanguages'], (data) => {
+      siteLanguageSelect.value = data.siteLanguages?.[hostname] ?? ''; // default Auto
+    });
+
+    // Field mode handler
+    fieldLanguageSelect.addEventListener('change', () => {
+      focusedFrame.then(frameId => chrome.tabs.sendMessage(tab.id, {
+        type: 'set-field-language',
+        language: fieldLanguageSelect.value || null
+      }, { frameId })).then(showFieldLanguage).catch((error) => {
+        // Ignore errors if no content script is present in the tab
+      });
+    });
+
+    // Site mode handler
+    siteLanguageSelect.addEventListener('change', () => {
+      const language = siteLanguageSelect.value || null;
+      chrome.storage.local.get(['siteLanguages'], (data) => {
+        const siteLanguages = data.siteLanguages ?? {};
+        if (language) {
+          siteLanguages[hostname] = language;
+        } else {
+          delete siteLanguages[hostname];
+        }
+        chrome.storage.local.set({ siteLanguages: siteLanguages });
+      });
+
+      // Notify all tabs; only those on this site apply it
+      chrome.tabs.query({}, (allTabs) => {
+        for (const otherTab of allTabs) {
+          chrome.tabs.sendMessage(otherTab.id, {
+            type: 'set-site-language',
+            hostname: hostname,
+            language: language
+          }).catch((error) => {
+            // Ignore errors if no content script is present in the tab
+          });
+        }
+      });
+    });
+  });
 });
@@ -0,0 +1,123 @@
+// Underline and tooltip themes, shared by the content script and the options page.
+
+// Lint kinds reported by Harper, in the order they are listed in the options
+export const LINT_KINDS = [
+  'Spelling',
+  'Capitalization',
+  'Style',
+  'Formatting',
+  'Repetition',
+  'Enhancement',
+  'Readability',
+  'WordChoice',
+  'Miscellaneous'
+];
+
+export const UNDERLINE_STYLES = ['solid', 'wavy', 'dotted', 'dashed', 'double'];
+
+// 'auto' lets the browser pick a thickness from the font
+export const UNDERLINE_THICKNESSES = ['auto', '1px', '2px', '3px'];
+
+// Built-in palettes. `base` applies to every kind; `kinds` overrides it per kind.
+// Colors are hex so they can be edited with <input type="color">.
+export const PALETTES = {
+  default: {
+    label: 'Default',
+    base: { color: '#808080', style: 'solid', thickness: 'auto' },
+    kinds: {
+      Spelling: { color: '#FF0000' },
+      WordChoice: { color: '#008000' },
+      Style: { color: '#FFA500' },
+      Repetition: { color: '#0000FF' }
+    }
+  },
+  // Okabe–Ito colors, which stay distinct with red-green color blindness.
+  // Kinds also differ in line style, so color is never the only cue.
+  colorblind: {
+    label: 'Colorblind-safe',
+    base: { color: '#999999', style: 'dotted', thickness: '2px' },
+    kinds: {
+      Spelling: { color: '#D55E00', style: 'wavy' },
+      Capitalization: { color: '#009E73', style: 'dashed' },
+      Style: { color: '#E69F00', style: 'dotted' },
+      Formatting: { color: '#56B4E9', style: 'dotted' },
+      Repetition: { color: '#CC79A7', style: 'double' },
+      WordChoice: { color: '#0072B2', style: 'solid' }
+    }
+  },
+  highContrast: {
+    label: 'High contrast',
+    base: { color: '#000000', style: 'dotted', thickness: '3px' },
+    kinds: {
+      Spelling: { color: '#FF0000', style: 'wavy' },
+      Capitalization: { color: '#0000FF', style: 'dashed' },
+      Style: { color: '#FF00FF', style: 'dotted' },
+      Repetition: { color: '#0000FF', style: 'double' },
+      WordChoice: { color: '#008000', style: 'solid' }
+    }
+  }
+};
+
+export const TOOLTIP_THEMES = {
+  dark: {
+    label: 'Dark',
+    background: '#333',
+    text: '#fff',
+    muted: '#bbb',
+    border: '#ccc',
+    button: '#444',
+    buttonHover: '#555'
+  },
+  light: {
+    label: 'Light',
+    background: '#fff',
+    text: '#222',
+    muted: '#555',
+    border: '#bbb',
+    button: '#eee',
+    buttonHover: '#ddd'
+  }
+};
+
+/**
+ * The theme used when nothing is stored: { palette, tooltip, kinds }, where kinds holds
+ * the user's per-kind overrides ({ Spelling: { color, style, thickness } }).
+ * @returns {Object} - A new default theme.
+ */
+export function createDefaultTheme() {
+  return { palette: 'default', tooltip: 'dark', kinds: {} };
+}
+
+/**
+ * Resolve the underline of a lint kind: the user's override, then the palette's kind, then its base.
+ * Kinds Harper reports that we don't know about use the palette's base.
+ * @param {Object} theme - The theme (see createDefaultTheme).
+ * @param {string} kind - The lint kind, e.g. "Spelling".
+ * @returns {{color: string, style: string, thickness: string}} - The underline.
+ */
+export function resolveKindStyle(theme, kind) {
+  const palette = PALETTES[theme?.palette] ?? PALETTES.default;
+  return {
+    ...palette.base,
+    ...palette.kinds[kind],
+    ...theme?.kinds?.[kind]
+  };
+}
+
+/**
+ * Get the tooltip colors for a theme.
+ * @param {Object} theme - The theme (see createDefaultTheme).
+ * @returns {Object} - The tooltip colors.
+ */
+export function resolveTooltipTheme(theme) {
+  return TOOLTIP_THEMES[theme?.tooltip] ?? TOOLTIP_THEMES.dark;
+}
+
+/**
+ * Build the CSS text-decoration value for an underline.
+ * @param {{color: string, style: string, thickness: string}} underline - From resolveKindStyle.
+ * @returns {string} - E.g. "underline wavy #D55E00 2px".
+ */
+export function getTextDecoration(underline) {
+  return `underline ${underline.style} ${underline.color} ${underline.thickness}`;
+}